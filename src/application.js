@@ -2,8 +2,13 @@
 // Copyright (c) János Janka - All rights reserved.
 
 /// <reference path="language/types.js" />
+/// <reference path="language/diagnostics.js" />
 /// <reference path="language/lexer.js" />
 /// <reference path="language/parser.js" />
+/// <reference path="language/binder.js" />
+/// <reference path="language/checker.js" />
+/// <reference path="language/optimizer.js" />
+/// <reference path="language/linter.js" />
 /// <reference path="language/emitter.js" />
 
 /// <reference path="designer/editor.js" />
@@ -20,6 +25,7 @@ class Application {
      * @param {Object} options
      */
     constructor(options) {
+        this.compilerOptions = Object.assign({ warnOnLegacyCommands: false, optimize: false, lintRules: {} }, options.compilerOptions);
         this.$codeEditor = options.codeEditor;
         this.codeEditor = new CodeEditor($("textarea:first", this.$codeEditor).val(options.codeSample)[0], "sample");
         $("button[name='compile']", this.$codeEditor).on("click", this.onCompile.bind(this));
@@ -48,48 +54,104 @@ class Application {
      */
     onCompileAndRun(event) {
         event.preventDefault();
-        this.run(this.compile());
+        const result = this.compile();
+        result.diagnostics.hasErrors || this.run(result.outputCode);
     }
 
     /**
      * Compiles the Sample source text building up an AST
      * and then translating the result tree into JavaScript.
+     * Every phase reports its problems into the same diagnostic bag instead of throwing an exception,
+     * so all the problems found by a phase are listed at once.
+     * @returns {{outputCode: string, diagnostics: DiagnosticBag}} The emitted code (an empty string
+     *          if the source text has lexical, syntax, binding or type errors) and the problems found.
      */
     compile() {
-        let outputCode = "";
-        this.$messageOutput.removeClass("alert-success alert-danger").empty();
+        const diagnostics = new DiagnosticBag();
+        this.$messageOutput.removeClass("alert-success alert-warning alert-danger").empty();
         try {
-            // Collect all the lexical elements from the raw source text
-            // and display those on the user interface (UI).
-            const lexer = new Lexer(this.codeEditor.value);
-            this.showSyntaxList(lexer);
-
-            // Build up an AST (Abstract Syntax Tree) from the lexical elements
-            // and display the result on the user interface (UI).
-            this.emptySyntaxTree();
-            const parser = new Parser(lexer);
-            const syntaxTree = parser.parse();
-            this.showSyntaxTree(syntaxTree);
+            const outputCode = this.runCompilerPhases(diagnostics);
 
-            // Emit JavaScript code traversing the syntax tree
-            // and display the code on the user interface (UI).
-            const emitter = new Emitter();
-            outputCode = emitter.emit(syntaxTree);
+            // The phases report their problems in the order they find them (e.g. the function bodies
+            // are bound last), so the problems are sorted by their position only once, before they are listed.
+            diagnostics.sort();
+            if (diagnostics.hasErrors) {
+                this.showOutputCode("");
+                this.showDiagnostics(diagnostics);
+                return { outputCode: "", diagnostics: diagnostics };
+            }
             this.showOutputCode(outputCode);
 
-            // Okay. Everything is alright.
-            this.$messageOutput.addClass("alert-success").text("Compilation succeeded.");
+            // Okay. Everything is alright, but the user may want to know about the warnings.
+            if (diagnostics.length) {
+                this.$messageOutput.text("Compilation succeeded with warnings.");
+                this.showDiagnostics(diagnostics, "alert-warning");
+            } else {
+                this.$messageOutput.addClass("alert-success").text("Compilation succeeded.");
+            }
+            return { outputCode: outputCode, diagnostics: diagnostics };
         } catch (ex) {
-            // Ooops! Something is wrong.
+            // Ooops! Something is wrong. The compiler itself has a bug.
             this.$messageOutput.addClass("alert-danger").text(ex.toString());
             throw ex;
         }
-        return outputCode;
+    }
+
+    /**
+     * Runs the phases of the compiler one after another and displays the lexical elements
+     * and the syntax tree. A phase is not run if the previous ones have reported an error.
+     * @param   {DiagnosticBag} diagnostics The bag all the phases report their problems into.
+     * @returns {string} The emitted code or an empty string if the source text has errors.
+     */
+    runCompilerPhases(diagnostics) {
+        // Collect all the lexical elements from the raw source text
+        // and display those on the user interface (UI).
+        const lexer = new Lexer(this.codeEditor.value);
+        diagnostics.addRange(this.showSyntaxList(lexer));
+
+        // Build up an AST (Abstract Syntax Tree) from the lexical elements.
+        // The parser recovers from the lexical and syntax errors (the bad tokens are skipped),
+        // so the (partial) tree is displayed with its broken nodes highlighted. We do not bind
+        // a tree having errors, since the missing and skipped tokens would cause misleading errors.
+        this.emptySyntaxTree();
+        const parser = new Parser(lexer, this.compilerOptions, diagnostics);
+        const syntaxTree = parser.parse();
+        if (diagnostics.hasErrors) {
+            this.showSyntaxTree(syntaxTree);
+            return "";
+        }
+
+        // Resolve the names of the syntax tree. The symbols are kept for the editor features.
+        // The types are inferred only if every name could be resolved.
+        this.binder = new Binder(diagnostics).bind(syntaxTree);
+        const hasBindingErrors = diagnostics.hasErrors;
+        this.checker = hasBindingErrors ? void 0 : new Checker(this.binder, diagnostics).check(syntaxTree);
+
+        // Check the style of the program as well. The rules can be configured by the compiler options
+        // and by the lint pragmas of the program; a rule set to "error" stops the compilation.
+        hasBindingErrors || new Linter(this.binder, this.compilerOptions.lintRules, diagnostics).lint(syntaxTree, lexer.source);
+
+        // Display the tree together with the inferred types on the user interface (UI).
+        this.showSyntaxTree(syntaxTree);
+
+        // We do not emit a program that uses undeclared names or mismatched types
+        // but list all of those problems at once.
+        if (diagnostics.hasErrors) {
+            return "";
+        }
+
+        // Simplify the constant expressions if the user asked for it. The optimizer works
+        // on a copy, so the syntax panel still shows the tree as it was written.
+        const optimizedTree = this.compilerOptions.optimize ? new Optimizer(diagnostics).optimize(syntaxTree) : syntaxTree;
+
+        // Emit JavaScript code traversing the syntax tree.
+        return new Emitter(diagnostics).emit(optimizedTree);
     }
 
     /**
      * Lists all syntax elements on the user interfaces.
-     * @param  {Lexer} lexer
+     * @param   {Lexer} lexer
+     * @returns {DiagnosticBag} The lexical errors found in the source text.
      */
     showSyntaxList(lexer) {
         this.$lexerOutput.html(`
@@ -104,7 +166,7 @@ class Application {
 
             this.$lexerOutput.append(`
 <div class="row" class="${this.getSyntaxClasses(token)}">
-    <div class="col-md-6 ${classes}">${token.text}</div>
+    <div class="col-md-6 ${classes}">${this.encodeText(token.text)}</div>
     <div class="col-md-6 ${classes}">${token.kindText}</div>
 </div>`);
 
@@ -114,7 +176,33 @@ class Application {
             }
         }
 
+        const diagnostics = lexer.diagnostics;
         lexer.reset();
+        return diagnostics;
+    }
+
+    /**
+     * Lists the specified diagnostics (errors and warnings) on the message output
+     * together with their related locations.
+     * @param  {DiagnosticBag} diagnostics
+     * @param  {string}        [alertClass] The Bootstrap alert class of the message output.
+     */
+    showDiagnostics(diagnostics, alertClass = "alert-danger") {
+        const $list = $("<ul />");
+        for (let diagnostic of diagnostics) {
+            const location = diagnostic.span.toString();
+            const $item = $("<li />")
+                .text(`${DiagnosticSeverity[diagnostic.severity]}${location ? ` (${location})` : ""}: ` +
+                    `${diagnostic.message} (SL${diagnostic.code})`)
+                .appendTo($list);
+            if (diagnostic.relatedLocations.length) {
+                const $relatedList = $("<ul />").appendTo($item);
+                diagnostic.relatedLocations.forEach(related => $("<li />")
+                    .text(`Line ${related.span.line}, col ${related.span.column}: ${related.message}`)
+                    .appendTo($relatedList));
+            }
+        }
+        this.$messageOutput.addClass(alertClass).append($list);
     }
 
     /**
@@ -129,7 +217,7 @@ class Application {
         } catch (ex) {
             // Ooops! Something is wrong.
             this.$messageOutput
-                .removeClass("alert-success alert-danger")
+                .removeClass("alert-success alert-warning alert-danger")
                 .addClass("alert-danger")
                 .text(ex.toString());
             throw ex;
@@ -146,7 +234,10 @@ class Application {
             return {
                 children: node.isToken ? null : node.children.map(mapNode),
                 extraClasses: that.getSyntaxClasses(node),
-                title: node.isToken ? node.text : node.kindText,
+                title: node.isToken ? (node.isMissing ? `missing ${node.kindText}` : node.text) : node.kindText,
+                tooltip: node.line !== void 0
+                    ? `line ${node.line}, col ${node.column} (${node.start}-${node.end})${node.type ? `: ${node.type.text}` : ""}`
+                    : void 0
             };
         })(syntaxNode)]);
     }
@@ -166,6 +257,16 @@ class Application {
         this.emitterOutput.value = outputCode;
     }
 
+    /**
+     * Encodes the specified source text to be displayed as HTML content
+     * since comments and string literals can contain any kind of characters.
+     * @param   {string} text
+     * @returns {string}
+     */
+    encodeText(text) {
+        return $("<div />").text(text).html();
+    }
+
     /**
      * Gets CSS classes for the specified syntax element.
      * @param   {SyntaxToken | SyntaxNode} node
@@ -175,6 +276,8 @@ class Application {
         const classes = [];
         node.isToken && classes.push("syn-token");
         node.isKeyword && classes.push("syn-keyword");
+        node.isMissing && classes.push("syn-missing");
+        node.containsErrors && classes.push("syn-broken");
         classes.push(`syn-${node.kindText.toLowerCase()}`);
         return classes.join(" ");
     }
@@ -16,10 +16,11 @@
 
         const SampleCode = `\
 program MyProgram {  
+    // Greets the user in English and in Hungarian.
     let welcome = "Hello";
-    let promise = call speak "Hello!" | "UK English Male";
-    call speak welcome + " How are you?" | "UK English Female";
-    call speak welcome + " Hogy vagy?" | "Hungarian Female";
+    let promise = cmd speak "Hello!" and "UK English Male";
+    cmd speak welcome + " How are you?" and "UK English Female";
+    cmd speak welcome + " Hogy vagy?" and "Hungarian Female";
 }`;
 
         // Create a new Application object and set it as a member of the global object
@@ -32,7 +33,16 @@ program MyProgram {
             messageOutput: $("#message-output"),
             lexerOutput: $("#lexer-output"),
             syntaxOutput: $("#syntax-output"),
-            emitterOutput: $("#output-code")
+            emitterOutput: $("#output-code"),
+            compilerOptions: {
+                // Report a warning for each command written in the obsolete 'call ... |' form.
+                warnOnLegacyCommands: true,
+                // Compute the constant expressions (e.g. 2 * (3 + 4)) at compile time.
+                optimize: true,
+                // The severity ("error", "warning" or "off") of the lint rules. A program can change them
+                // with a comment, e.g. // lint magic-numbers: warning, naming-style: off
+                lintRules: { "magic-numbers": "off" }
+            }
         });
     });
 
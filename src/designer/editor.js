@@ -2,6 +2,7 @@
 // Copyright (c) János Janka - All rights reserved.
 
 /// <reference path="../language/types.js" />
+/// <reference path="../language/commands.js" />
 
 "use strict";
 
@@ -10,15 +11,88 @@
 // using an open source code editor, such as CodeMirror (see: https://codemirror.net)
 //
 
+// CodeMirror drops the Unicode flag of the regular expressions, so the \p{ID_Start} and \p{ID_Continue}
+// classes used by the lexer cannot be used here. Instead, every character which is not an ASCII digit,
+// white-space or punctuation is treated as a letter, that is, a part of an identifier.
+const IdentifierStartPattern = "[^\\s\\d!-\\/:-@\\[-`{-~]";
+const IdentifierPartPattern = "[^\\s!-\\/:-@\\[-\\^`{-~]";
+
+// Rules of the lexical elements that can appear both in statements
+// and in the ${ ... } substitutions of template literals.
+const SampleExpressionRules = [
+    { regex: /\/\/.*/, token: "comment" },
+    { regex: /\/\*/, token: "comment", push: "comment" },
+    { regex: /"(?:[^\\]|\\.)*?"/, token: "string" },
+    { regex: /'(?:[^\\]|\\.)*?'/, token: "string" },
+    { regex: /`/, token: "string", push: "template" },
+    { regex: new RegExp("(?:" + Object.keys(KeywordSyntaxKindMap).join("|") + ")(?!" + IdentifierPartPattern + ")"), token: "keyword" },
+    // Numeric literals accepted by Lexer.scanNumericLiteral; any other digit sequence is malformed.
+    { regex: new RegExp(/(?:0x[\da-f]+(?:_[\da-f]+)*|0b[01]+(?:_[01]+)*|0o[0-7]+(?:_[0-7]+)*|\d+(?:_\d+)*(?:\.\d+(?:_\d+)*)?(?:e[-+]?\d+(?:_\d+)*)?)/.source + "(?!" + IdentifierPartPattern + "|\\.)", "i"), token: "number" },
+    { regex: new RegExp("\\d(?:" + IdentifierPartPattern + "|\\.)*"), token: "error" },
+    { regex: new RegExp(IdentifierStartPattern + IdentifierPartPattern + "*"), token: "variable" }
+];
+
 CodeMirror.defineSimpleMode("sample", {
     start: [
-        { regex: /"(?:[^\\]|\\.)*?"/, token: "string" },
-        { regex: new RegExp("(?:" + Object.keys(KeywordSyntaxKindMap).join("|") + ")\\b"), token: "keyword" },
-        { regex: /0x[a-f\d]+|[-+]?(?:\.\d+|\d+\.?\d*)(?:e[-+]?\d+)?/i, token: "number" },
+        ...SampleExpressionRules,
         { regex: /[\{\[\(]/, indent: true },
-        { regex: /[\}\]\)]/, dedent: true },
-        { regex: /[a-zA-ZáéíóöőúüűÁÉÍÓÖŐÚÜŰ$][\w$]*/, token: "variable" }
-    ]
+        { regex: /[\}\]\)]/, dedent: true }
+    ],
+    // Block comments can be nested, so every /* pushes a new state that is popped by */.
+    comment: [
+        { regex: /\/\*/, token: "comment", push: "comment" },
+        { regex: /\*\//, token: "comment", pop: true },
+        { regex: /[^*\/]+|[*\/]/, token: "comment" }
+    ],
+    // Template literals, e.g. `Hello ${name}!`
+    template: [
+        { regex: /`/, token: "string", pop: true },
+        { regex: /\$\{/, token: "string", push: "templateSubstitution" },
+        { regex: /(?:[^\\`$]|\\.|\$(?!\{))+/, token: "string" }
+    ],
+    templateSubstitution: [
+        { regex: /\}/, token: "string", pop: true },
+        { regex: /\{/, push: "templateBraces" },
+        ...SampleExpressionRules
+    ],
+    templateBraces: [
+        { regex: /\}/, pop: true },
+        { regex: /\{/, push: "templateBraces" },
+        ...SampleExpressionRules
+    ],
+    meta: {
+        dontIndentStates: ["comment", "template"],
+        lineComment: "//",
+        blockCommentStart: "/*",
+        blockCommentEnd: "*/"
+    }
+});
+
+/**
+ * Lists the built-in commands starting with the name typed at the cursor together with
+ * their documentation taken from the command registry (see: https://codemirror.net/doc/manual.html#addon_show-hint).
+ */
+CodeMirror.registerHelper("hint", "sample", editor => {
+    const cursor = editor.getCursor();
+    const token = editor.getTokenAt(cursor);
+    const isName = token.type === "variable";
+    const prefix = isName ? token.string.slice(0, cursor.ch - token.start) : "";
+    return {
+        list: BuiltInCommands.all
+            .filter(command => command.name.startsWith(prefix))
+            .map(command => ({
+                text: command.name,
+                render: element => {
+                    const signature = element.appendChild(document.createElement("code"));
+                    signature.textContent = command.text;
+                    const description = element.appendChild(document.createElement("div"));
+                    description.className = "command-description";
+                    description.textContent = command.description;
+                }
+            })),
+        from: CodeMirror.Pos(cursor.line, isName ? token.start : cursor.ch),
+        to: CodeMirror.Pos(cursor.line, isName ? token.end : cursor.ch)
+    };
 });
 
 /**
@@ -33,7 +107,8 @@ class CodeEditor {
         this.element = element;
         this.editor = CodeMirror.fromTextArea(this.element, {
             mode: language,
-            theme: "visual-studio"
+            theme: "visual-studio",
+            extraKeys: { "Ctrl-Space": "autocomplete" }
         });
     }
 
@@ -0,0 +1,547 @@
+// Sample Programming Language
+// Copyright (c) János Janka - All rights reserved.
+
+/// <reference path="types.js" />
+/// <reference path="diagnostics.js" />
+/// <reference path="commands.js" />
+
+"use strict";
+
+/** Represents what a declared name stands for. */
+const SymbolKind = {
+    Variable: 1,        // let x
+    Constant: 2,        // const x
+    Parameter: 3,       // function f(x)
+    LoopVariable: 4,    // for each x in xs
+    Function: 5,        // function f()
+    Command: 6          // speak, search, dialog, ...
+};
+
+// Do not use "const name" because IE's Chakra engine
+// does not allow const binding of the variable for the time being.
+for (let name in SymbolKind) {
+    SymbolKind[SymbolKind[name]] = name;
+}
+
+/** The kinds of the symbols that can be assigned a new value. */
+const WritableSymbolKinds = [SymbolKind.Variable, SymbolKind.Parameter];
+
+/** The kinds of the symbols that can be called. */
+const CallableSymbolKinds = [SymbolKind.Function, SymbolKind.Command];
+
+/**
+ * The names that cannot be used as the name of a variable or a function in the emitted JavaScript code
+ * (the reserved words of the strict mode). The keywords of Sample are not listed since they are never names.
+ */
+const ReservedJavaScriptNames = new Set([
+    "arguments", "await", "break", "case", "catch", "class", "continue", "debugger", "default", "delete", "do",
+    "enum", "eval", "export", "extends", "finally", "implements", "import", "instanceof", "interface", "new",
+    "null", "package", "private", "protected", "public", "static", "super", "switch", "this", "throw", "try",
+    "typeof", "var", "void", "with", "yield"
+]);
+
+/**
+ * Computes how many characters have to be inserted, deleted or replaced to turn a name into another one.
+ * @param   {string} a
+ * @param   {string} b
+ * @returns {number}
+ */
+function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/** Represents a declared name with all the places where it is used. */
+class SyntaxSymbol {
+    /**
+     * @param {string}               name
+     * @param {SymbolKind}           kind
+     * @param {IdentifierNameSyntax} [declaration] The declaring name; built-in commands have none.
+     */
+    constructor(name, kind, declaration) {
+        this.name = name;
+        this.kind = kind;
+        this.declaration = declaration;
+        this.references = [];
+    }
+
+    /** Gets the name of the symbol's kind in a human-readable form (e.g. "loop variable"). */
+    get kindText() {
+        return SymbolKind[this.kind].replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase();
+    }
+
+    /** Returns true if the symbol can be assigned a new value. */
+    get isWritable() {
+        return WritableSymbolKinds.includes(this.kind);
+    }
+
+    /** Returns true if the symbol can be called. */
+    get isCallable() {
+        return CallableSymbolKinds.includes(this.kind);
+    }
+}
+
+/** Represents a region of the program (the program itself, a block, a function or a loop) where names can be declared. */
+class Scope {
+    /**
+     * @param {SyntaxNode} [node]   The syntax node that opens the scope; the global scope has none.
+     * @param {Scope}      [parent] The enclosing scope.
+     */
+    constructor(node, parent) {
+        this.node = node;
+        this.parent = parent;
+        this.symbols = new Map();
+    }
+
+    /**
+     * Finds the symbol declared with the specified name in this scope or in an enclosing scope.
+     * @param   {string} name
+     * @returns {SyntaxSymbol}
+     */
+    lookup(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope.symbols.has(name)) return scope.symbols.get(name);
+        }
+        return void 0;
+    }
+}
+
+/**
+ * The binder resolves the names of the syntax tree. It builds up the scopes of the program,
+ * its blocks, functions and loops, connects every name to the symbol it stands for,
+ * and reports the undeclared, duplicate and shadowed names as well as the calls of the built-in
+ * commands that do not match their declarations in the command registry.
+ */
+class Binder {
+    /**
+     * Creates a new binder.
+     * @param {DiagnosticBag} [diagnostics] The bag the binding problems are reported into.
+     */
+    constructor(diagnostics) {
+        this.diagnostics = diagnostics || new DiagnosticBag();
+        this.symbols = new Map();   // IdentifierNameSyntax -> SyntaxSymbol
+        this.scopes = new Map();    // SyntaxNode -> Scope
+        this.scope = void 0;
+        this.pendingFunctions = [];
+    }
+
+    /**
+     * Binds the names of the specified program.
+     * @param   {ProgramSyntax} program
+     * @returns {Binder} The binder itself, which can be asked about the symbols.
+     */
+    bind(program) {
+        this.symbols.clear();
+        this.scopes.clear();
+        this.pendingFunctions = [];
+
+        // The built-in commands are declared in the outermost scope, so a program can hide them.
+        this.scope = new Scope();
+        BuiltInCommands.all.forEach(command =>
+            this.scope.symbols.set(command.name, new SyntaxSymbol(command.name, SymbolKind.Command)));
+
+        this.bindProgram(program);
+        this.scope = void 0;
+        return this;
+    }
+
+    /**
+     * Records a binding problem.
+     * @param {DiagnosticCode}     code
+     * @param {DiagnosticSeverity} severity
+     * @param {string}             message
+     * @param {SyntaxNode}         node     The syntax element the problem belongs to.
+     * @param {SyntaxSymbol}       [symbol] The symbol whose declaration helps to understand the problem.
+     */
+    report(code, severity, message, node, symbol) {
+        const relatedLocations = symbol && symbol.declaration
+            ? [new RelatedLocation(`The ${symbol.kindText} '${symbol.name}' is declared here.`, symbol.declaration)]
+            : [];
+        this.diagnostics.report(code, severity, message, node, relatedLocations);
+    }
+
+    /**
+     * Runs the callback within a new scope opened by the specified node.
+     * @param {SyntaxNode} node
+     * @param {Function}   callback
+     */
+    withScope(node, callback) {
+        const parent = this.scope;
+        this.scope = new Scope(node, parent);
+        this.scopes.set(node, this.scope);
+        try {
+            callback();
+        } finally {
+            this.scope = parent;
+        }
+    }
+
+    /**
+     * Declares a name in the current scope.
+     * @param   {IdentifierNameSyntax} identifier
+     * @param   {SymbolKind}           kind
+     * @returns {SyntaxSymbol}
+     */
+    declare(identifier, kind) {
+        const name = identifier.token.value;
+        const symbol = new SyntaxSymbol(name, kind, identifier);
+        this.checkReservedName(identifier);
+        const existing = this.scope.symbols.get(name);
+        if (existing) {
+            this.report(DiagnosticCode.DuplicateName, DiagnosticSeverity.Error,
+                `The name '${name}' is already declared in this scope as a ${existing.kindText}.`, identifier, existing);
+        } else {
+            const outer = this.scope.parent && this.scope.parent.lookup(name);
+            if (outer) {
+                this.report(DiagnosticCode.ShadowedName, DiagnosticSeverity.Warning,
+                    `The ${symbol.kindText} '${name}' hides the ${outer.kindText} declared in an outer scope.`, identifier, outer);
+            }
+            this.scope.symbols.set(name, symbol);
+        }
+        this.symbols.set(identifier, symbol);
+        return symbol;
+    }
+
+    /**
+     * Reports a declared name that cannot be used in the emitted JavaScript code (e.g. 'new' or 'class').
+     * The name is declared anyway, so its references are not reported as undeclared.
+     * @param {IdentifierNameSyntax} identifier
+     */
+    checkReservedName(identifier) {
+        const name = identifier.token.value;
+        if (ReservedJavaScriptNames.has(name)) {
+            this.report(DiagnosticCode.ReservedName, DiagnosticSeverity.Error,
+                `The name '${name}' is reserved in JavaScript, so it cannot be declared. Choose another name.`, identifier);
+        }
+    }
+
+    /**
+     * Resolves a name that refers to a declared symbol.
+     * @param   {IdentifierNameSyntax} identifier
+     * @param   {boolean}              [isCalled] True if the name is called, so only a callable symbol can be suggested instead.
+     * @returns {SyntaxSymbol} The symbol or undefined if the name has not been declared.
+     */
+    resolve(identifier, isCalled) {
+        const name = identifier.token.value;
+        const symbol = this.scope.lookup(name);
+        if (!symbol) {
+            const suggestion = this.suggestName(name, isCalled);
+            this.report(DiagnosticCode.UndeclaredName, DiagnosticSeverity.Error,
+                `Cannot find the name '${name}'.${suggestion ? ` Did you mean '${suggestion.name}'?` : ""}`, identifier);
+            return void 0;
+        }
+        symbol.references.push(identifier);
+        this.symbols.set(identifier, symbol);
+        return symbol;
+    }
+
+    /**
+     * Finds a declared name that is similar to a misspelled one (e.g. 'speak' for 'spek').
+     * @param   {string}  name
+     * @param   {boolean} [isCalled] True if only a callable symbol can be suggested.
+     * @returns {SyntaxSymbol} The most similar symbol or undefined if none of them is similar enough.
+     */
+    suggestName(name, isCalled) {
+        const maxDistance = Math.max(1, Math.floor(name.length / 3));
+        let suggestion = void 0, suggestionDistance = maxDistance + 1;
+        for (let scope = this.scope; scope; scope = scope.parent) {
+            scope.symbols.forEach(symbol => {
+                const distance = getEditDistance(name, symbol.name);
+                if (distance < suggestionDistance && (!isCalled || symbol.isCallable)) {
+                    suggestion = symbol;
+                    suggestionDistance = distance;
+                }
+            });
+        }
+        return suggestion;
+    }
+
+    /**
+     * Checks the arguments of a built-in command against its declaration in the command registry:
+     * the named arguments must match a parameter, and every required parameter must get a value.
+     * @param {InvocationExpression} expression
+     * @param {CommandSignature}     command
+     */
+    bindCommandArguments(expression, command) {
+        const args = expression.arguments.children;
+        const givenNames = new Set();
+        args.forEach((argument, index) => {
+            if (argument.kind !== SyntaxKind.NamedArgument) {
+                index < command.parameters.length && givenNames.add(command.parameters[index].name);
+            } else if (command.parameterNames.includes(argument.name.token.value)) {
+                givenNames.add(argument.name.token.value);
+            } else {
+                this.report(DiagnosticCode.UnknownParameter, DiagnosticSeverity.Error,
+                    `The command '${command.name}' has no parameter named '${argument.name.token.value}'.`, argument.name);
+            }
+        });
+
+        const missing = command.parameters.filter(parameter => !parameter.isOptional && !givenNames.has(parameter.name));
+        if (args.length > command.parameters.length) {
+            this.report(DiagnosticCode.ArgumentCountMismatch, DiagnosticSeverity.Error,
+                `The command '${command.name}' expects at most ${command.parameters.length} argument(s) but got ${args.length}.`, expression);
+        } else if (missing.length) {
+            this.report(DiagnosticCode.ArgumentCountMismatch, DiagnosticSeverity.Error,
+                `The command '${command.name}' expects an argument for the parameter '${missing[0].name}'.`, expression);
+        }
+    }
+
+    /**
+     * Checks the arguments of a user function against its declaration. The user functions have no
+     * optional parameters, so every parameter must get exactly one value.
+     * @param {InvocationExpression} expression
+     * @param {SyntaxSymbol}         symbol     The symbol of the called function.
+     */
+    bindFunctionArguments(expression, symbol) {
+        const args = expression.arguments.children;
+        const parameterNames = symbol.declaration.parent.parameters.children.map(parameter => parameter.token.value);
+        const givenNames = new Set();
+        args.forEach(argument => {
+            if (argument.kind !== SyntaxKind.NamedArgument) {
+                return;
+            }
+            if (parameterNames.includes(argument.name.token.value)) {
+                givenNames.add(argument.name.token.value);
+            } else {
+                this.report(DiagnosticCode.UnknownParameter, DiagnosticSeverity.Error,
+                    `The function '${symbol.name}' has no parameter named '${argument.name.token.value}'.`, argument.name, symbol);
+            }
+        });
+
+        const missing = parameterNames.find(name => !givenNames.has(name));
+        if (args.length && args[0].kind === SyntaxKind.NamedArgument && missing) {
+            this.report(DiagnosticCode.ArgumentCountMismatch, DiagnosticSeverity.Error,
+                `The function '${symbol.name}' expects an argument named '${missing}'.`, expression, symbol);
+        } else if (args.length !== parameterNames.length) {
+            this.report(DiagnosticCode.ArgumentCountMismatch, DiagnosticSeverity.Error,
+                `The function '${symbol.name}' expects ${parameterNames.length} argument(s) but got ${args.length}.`, expression, symbol);
+        }
+    }
+
+    /**
+     * Binds the names of the program. The functions are declared first, so they can be called
+     * before their declaration, and their bodies are bound at the end, so they can use
+     * every name of the program block that is declared before their first call.
+     * @param {ProgramSyntax} program
+     */
+    bindProgram(program) {
+        this.checkReservedName(program.identifier);
+        this.withScope(program, () => {
+            program.block.children
+                .filter(node => node.kind === SyntaxKind.FunctionDeclaration)
+                .forEach(declaration => this.declare(declaration.identifier, SymbolKind.Function));
+
+            program.block.children.forEach(node => this.bindNode(node));
+
+            this.pendingFunctions.forEach(pending => {
+                const scope = this.scope;
+                this.scope = pending.scope;
+                this.bindFunctionBody(pending.declaration);
+                this.scope = scope;
+            });
+            this.pendingFunctions.forEach(pending => this.checkUseBeforeDeclaration(pending.declaration));
+        });
+    }
+
+    /**
+     * Reports the variables and constants of the program that a function uses although they are declared
+     * after the first call of the function. The emitted code would throw a ReferenceError at that call.
+     * Must be called in the scope of the program when all the bodies have been bound.
+     * @param {FunctionDeclaration} declaration
+     */
+    checkUseBeforeDeclaration(declaration) {
+        const functionSymbol = this.symbols.get(declaration.identifier);
+        const firstCall = functionSymbol.references.reduce((first, reference) =>
+            !first || reference.start < first.start ? reference : first, void 0);
+        if (!firstCall) {
+            return;
+        }
+
+        const block = declaration.block;
+        this.symbols.forEach((symbol, identifier) => {
+            const isProgramVariable = this.scope.symbols.get(symbol.name) === symbol &&
+                (symbol.kind === SymbolKind.Variable || symbol.kind === SymbolKind.Constant);
+            if (isProgramVariable && block.start <= identifier.start && identifier.end <= block.end &&
+                firstCall.start < symbol.declaration.start) {
+                this.diagnostics.reportError(DiagnosticCode.UsedBeforeDeclaration,
+                    `The ${symbol.kindText} '${symbol.name}' is used by the function '${functionSymbol.name}' before its declaration.`, identifier, [
+                        new RelatedLocation(`The function '${functionSymbol.name}' is called here first.`, firstCall),
+                        new RelatedLocation(`The ${symbol.kindText} '${symbol.name}' is declared here.`, symbol.declaration)
+                    ]);
+            }
+        });
+    }
+
+    /**
+     * Binds the parameters and the block of a function. The parameters and the top-level statements
+     * of the block share one scope like in JavaScript, so a variable cannot have the name of a parameter.
+     * @param {FunctionDeclaration} declaration
+     */
+    bindFunctionBody(declaration) {
+        this.withScope(declaration, () => {
+            declaration.parameters.children.forEach(parameter => this.declare(parameter, SymbolKind.Parameter));
+            declaration.block.children.forEach(child => this.bindNode(child));
+        });
+    }
+
+    /**
+     * Binds the target of an assignment. Only variables and parameters can be assigned
+     * a new value, but the items and members of any list or record can be changed.
+     * @param {Expression} target
+     */
+    bindAssignmentTarget(target) {
+        if (target.kind !== SyntaxKind.IdentifierName) {
+            this.bindNode(target);
+            return;
+        }
+        const symbol = this.resolve(target);
+        if (symbol && !symbol.isWritable) {
+            this.report(DiagnosticCode.ReadOnlyAssignment, DiagnosticSeverity.Error,
+                `Cannot assign to '${symbol.name}' because it is a ${symbol.kindText}.`, target, symbol);
+        }
+    }
+
+    /**
+     * Binds the names of the specified node and its descendants.
+     * @param {SyntaxItem} node
+     */
+    bindNode(node) {
+        if (node.isToken) {
+            return;
+        }
+
+        switch (node.kind) {
+            // The built-in commands are provided by the runtime under other names, so they can only be called.
+            case SyntaxKind.IdentifierName: {
+                const symbol = this.resolve(node);
+                if (symbol && symbol.kind === SymbolKind.Command) {
+                    this.report(DiagnosticCode.CommandNotCalled, DiagnosticSeverity.Error,
+                        `The command '${symbol.name}' can only be called, it cannot be used as a value.`, node);
+                }
+                return;
+            }
+
+            case SyntaxKind.Block:
+                this.withScope(node, () => node.children.forEach(child => this.bindNode(child)));
+                return;
+
+            // The initializer is bound first, since it cannot use the declared name.
+            case SyntaxKind.VarDeclStatement:
+                node.expression && this.bindNode(node.expression);
+                this.declare(node.identifier, node.isConst ? SymbolKind.Constant : SymbolKind.Variable);
+                return;
+
+            case SyntaxKind.AssignmentStatement:
+                this.bindAssignmentTarget(node.target);
+                this.bindNode(node.expression);
+                return;
+
+            case SyntaxKind.ForEachStatement:
+                this.bindNode(node.expression);
+                this.withScope(node, () => {
+                    this.declare(node.identifier, SymbolKind.LoopVariable);
+                    this.bindNode(node.block);
+                });
+                return;
+
+            // Functions are declared in the program block and their bodies are bound later.
+            case SyntaxKind.FunctionDeclaration:
+                this.pendingFunctions.push({ declaration: node, scope: this.scope });
+                return;
+
+            case SyntaxKind.InvocationExpression: {
+                const symbol = this.resolve(node.identifier, true);
+                if (symbol && !symbol.isCallable) {
+                    this.report(DiagnosticCode.NotCallable, DiagnosticSeverity.Error,
+                        `The ${symbol.kindText} '${symbol.name}' cannot be called because it is not a function or a command.`, node.identifier, symbol);
+                }
+                if (symbol && symbol.kind === SymbolKind.Command) {
+                    this.bindCommandArguments(node, BuiltInCommands.get(symbol.name));
+                }
+                if (symbol && symbol.kind === SymbolKind.Function) {
+                    this.bindFunctionArguments(node, symbol);
+                }
+                this.bindNode(node.arguments);
+                return;
+            }
+
+            // The names of the members and the named arguments are not declared in any scope.
+            case SyntaxKind.MemberAccessExpression:
+                this.bindNode(node.expression);
+                return;
+            case SyntaxKind.PropertyAssignment:
+            case SyntaxKind.NamedArgument:
+                this.bindNode(node.expression);
+                return;
+
+            default:
+                node.children.forEach(child => this.bindNode(child));
+                return;
+        }
+    }
+
+    /**
+     * Gets the symbol that the specified name declares or refers to.
+     * @param   {IdentifierNameSyntax} identifier
+     * @returns {SyntaxSymbol}
+     */
+    getSymbol(identifier) {
+        return this.symbols.get(identifier);
+    }
+
+    /**
+     * Gets the symbol of the name found at the specified offset of the source text.
+     * @param   {number} position
+     * @returns {SyntaxSymbol}
+     */
+    getSymbolAt(position) {
+        for (const [identifier, symbol] of this.symbols) {
+            if (identifier.start <= position && position <= identifier.end) return symbol;
+        }
+        return void 0;
+    }
+
+    /**
+     * Gets the innermost scope that contains the specified node.
+     * @param   {SyntaxNode} node
+     * @returns {Scope}
+     */
+    getScope(node) {
+        for (; node; node = node.parent) {
+            if (this.scopes.has(node)) return this.scopes.get(node);
+        }
+        return void 0;
+    }
+
+    /**
+     * Finds the symbol that the specified name stands for at the place of the specified node.
+     * @param   {string}     name
+     * @param   {SyntaxNode} node
+     * @returns {SyntaxSymbol}
+     */
+    lookup(name, node) {
+        const scope = this.getScope(node);
+        return scope && scope.lookup(name);
+    }
+
+    /**
+     * Lists all the symbols that can be used at the place of the specified node
+     * (e.g. to offer the completion of a name in the editor). An inner symbol hides the outer one.
+     * @param   {SyntaxNode} node
+     * @returns {SyntaxSymbol[]}
+     */
+    getSymbolsInScope(node) {
+        const symbols = new Map();
+        for (let scope = this.getScope(node); scope; scope = scope.parent) {
+            scope.symbols.forEach((symbol, name) => symbols.has(name) || symbols.set(name, symbol));
+        }
+        return Array.from(symbols.values());
+    }
+}
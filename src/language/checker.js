@@ -0,0 +1,509 @@
+// Sample Programming Language
+// Copyright (c) János Janka - All rights reserved.
+
+/// <reference path="types.js" />
+/// <reference path="diagnostics.js" />
+/// <reference path="binder.js" />
+/// <reference path="commands.js" />
+
+"use strict";
+
+/** Represents the kind of a value in the language. */
+const TypeKind = {
+    Any: 0,         // the type is not known until the program runs
+    Nothing: 1,     // nothing
+    Number: 2,      // 42
+    String: 3,      // "text"
+    Boolean: 4,     // true
+    List: 5,        // [1, 2, 3]
+    Record: 6,      // { name: "Anna" }
+    Promise: 7      // the result of a command that runs later
+};
+
+// Do not use "const name" because IE's Chakra engine
+// does not allow const binding of the variable for the time being.
+for (let name in TypeKind) {
+    TypeKind[TypeKind[name]] = name;
+}
+
+/** Represents the type of a value. A list also knows the type of its items. */
+class Type {
+    /**
+     * @param {TypeKind} kind
+     * @param {Type}     [elementType] The type of the items of a list.
+     */
+    constructor(kind, elementType) {
+        this.kind = kind;
+        this.elementType = elementType;
+    }
+
+    /** Gets the name of the type as it is written in the source text (e.g. "list of number"). */
+    get text() {
+        const text = TypeKind[this.kind].toLowerCase();
+        return this.elementType && this.elementType.kind !== TypeKind.Any ? `${text} of ${this.elementType.text}` : text;
+    }
+
+    /** Returns true if the type is not known until the program runs. */
+    get isAny() {
+        return this.kind === TypeKind.Any;
+    }
+
+    /**
+     * Returns true if a value of this type can be stored where the specified type is expected.
+     * The missing value (nothing) can be stored anywhere.
+     * @param   {Type} target
+     * @returns {boolean}
+     */
+    isAssignableTo(target) {
+        if (this.isAny || target.isAny || this.kind === TypeKind.Nothing) return true;
+        if (this.kind !== target.kind) return false;
+        return !this.elementType || this.elementType.isAssignableTo(target.elementType);
+    }
+
+    /**
+     * Returns true if both types describe the same values.
+     * @param   {Type} other
+     * @returns {boolean}
+     */
+    equals(other) {
+        return this.kind === other.kind &&
+            (!this.elementType || this.elementType.equals(other.elementType));
+    }
+
+    /**
+     * Creates the type of a list having items of the specified type.
+     * @param   {Type} elementType
+     * @returns {Type}
+     */
+    static listOf(elementType) {
+        return new Type(TypeKind.List, elementType);
+    }
+}
+
+/** The type of the missing value; it cannot be written in a type annotation since 'nothing' is a keyword. */
+const NothingType = new Type(TypeKind.Nothing);
+
+/** The types that can be written in a type annotation, by their names. */
+const BuiltInTypes = {
+    any: new Type(TypeKind.Any),
+    number: new Type(TypeKind.Number),
+    string: new Type(TypeKind.String),
+    boolean: new Type(TypeKind.Boolean),
+    list: Type.listOf(new Type(TypeKind.Any)),
+    record: new Type(TypeKind.Record),
+    promise: new Type(TypeKind.Promise)
+};
+
+/** The binary operators that can be applied only to numbers. */
+const ArithmeticSyntaxKinds = [
+    SyntaxKind.SubtractExpression,
+    SyntaxKind.MultiplyExpression,
+    SyntaxKind.DivideExpression,
+    SyntaxKind.ModuloExpression,
+    SyntaxKind.ExponentExpression
+];
+
+/** The binary operators that compare two numbers or two strings. */
+const RelationalSyntaxKinds = [
+    SyntaxKind.LessThanExpression,
+    SyntaxKind.LessThanOrEqualExpression,
+    SyntaxKind.GreaterThanExpression,
+    SyntaxKind.GreaterThanOrEqualExpression
+];
+
+/**
+ * The checker is a separate pass over a bound syntax tree. It infers the type of every expression,
+ * attaches it to the node (node.type), checks the optional type annotations of the declarations
+ * and reports the operations that cannot be applied to their operands.
+ */
+class Checker {
+    /**
+     * Creates a new checker.
+     * @param {Binder}        binder        The binder that has already resolved the names of the tree.
+     * @param {DiagnosticBag} [diagnostics] The bag the type errors are reported into.
+     */
+    constructor(binder, diagnostics) {
+        this.binder = binder;
+        this.diagnostics = diagnostics || new DiagnosticBag();
+        this.symbolTypes = new Map();   // SyntaxSymbol -> Type
+        this.pendingFunctions = [];
+    }
+
+    /**
+     * Checks the types of the specified program.
+     * @param   {ProgramSyntax} program
+     * @returns {Checker} The checker itself, which can be asked about the types.
+     */
+    check(program) {
+        this.symbolTypes.clear();
+        this.pendingFunctions = [];
+
+        // The function bodies are checked last (like the binder does), when the types
+        // of the names declared in the program block are already known.
+        this.checkStatement(program.block);
+        this.pendingFunctions.forEach(declaration => this.checkStatement(declaration.block));
+        return this;
+    }
+
+    /**
+     * Records a type problem.
+     * @param {DiagnosticCode} code
+     * @param {string}         message
+     * @param {SyntaxNode}     node    The syntax element the problem belongs to.
+     */
+    report(code, message, node) {
+        this.diagnostics.reportError(code, message, node);
+    }
+
+    /**
+     * Gets the type of the value that a declared name stands for.
+     * @param   {SyntaxSymbol} symbol
+     * @returns {Type}
+     */
+    getSymbolType(symbol) {
+        return symbol && this.symbolTypes.get(symbol) || BuiltInTypes.any;
+    }
+
+    /**
+     * Records the type of a declared name.
+     * @param {IdentifierNameSyntax} identifier The declaring name.
+     * @param {Type}                 type
+     */
+    setSymbolType(identifier, type) {
+        identifier.type = type;
+        this.symbolTypes.set(this.binder.getSymbol(identifier), type);
+    }
+
+    /**
+     * Resolves the type written in a type annotation.
+     * @param   {TypeAnnotationSyntax} annotation
+     * @returns {Type}
+     */
+    resolveType(annotation) {
+        const name = annotation.typeName.token.value;
+        if (!BuiltInTypes.hasOwnProperty(name)) {
+            this.report(DiagnosticCode.UnknownType, `Cannot find the type '${name}'. ` +
+                `The types are: ${Object.keys(BuiltInTypes).join(", ")}.`, annotation.typeName);
+            return BuiltInTypes.any;
+        }
+        return annotation.typeName.type = BuiltInTypes[name];
+    }
+
+    /**
+     * Reports an error if the value of the expression cannot be stored where the specified type is expected.
+     * @param {Expression} expression
+     * @param {Type}       type
+     * @param {string}     target     The description of the place (e.g. "the variable 'count'").
+     */
+    checkAssignable(expression, type, target) {
+        if (!expression.type.isAssignableTo(type)) {
+            this.report(DiagnosticCode.NotAssignable,
+                `A value of the type '${expression.type.text}' cannot be assigned to ${target} of the type '${type.text}'.`, expression);
+        }
+    }
+
+    /**
+     * Checks the types of the specified statement and its descendants.
+     * @param {Statement} statement
+     */
+    checkStatement(statement) {
+        switch (statement.kind) {
+            case SyntaxKind.Block:
+                statement.children.forEach(child => this.checkStatement(child));
+                return;
+
+            case SyntaxKind.VarDeclStatement:
+                this.checkVarDeclStatement(statement);
+                return;
+
+            case SyntaxKind.AssignmentStatement:
+                this.checkAssignmentStatement(statement);
+                return;
+
+            case SyntaxKind.InvocationExpression:
+                this.checkExpression(statement);
+                return;
+
+            // Any value can be used as a condition: false, nothing, 0, NaN and "" count as false.
+            case SyntaxKind.IfStatement:
+                this.checkExpression(statement.condition);
+                this.checkStatement(statement.block);
+                statement.elseStatement && this.checkStatement(statement.elseStatement);
+                return;
+
+            case SyntaxKind.WhileStatement:
+                this.checkExpression(statement.condition);
+                this.checkStatement(statement.block);
+                return;
+
+            case SyntaxKind.RepeatStatement: {
+                const type = this.checkExpression(statement.count);
+                if (!type.isAssignableTo(BuiltInTypes.number)) {
+                    this.report(DiagnosticCode.InvalidOperandType,
+                        `The number of the repetitions must be a number, not a value of the type '${type.text}'.`, statement.count);
+                }
+                this.checkStatement(statement.block);
+                return;
+            }
+
+            case SyntaxKind.ForEachStatement:
+                this.setSymbolType(statement.identifier, this.getElementType(statement.expression, DiagnosticCode.NotIterable,
+                    type => `Only the items of a list or the characters of a string can be iterated, not a value of the type '${type.text}'.`));
+                this.checkStatement(statement.block);
+                return;
+
+            // The parameters can receive any value since they have no type annotations.
+            case SyntaxKind.FunctionDeclaration:
+                statement.parameters.children.forEach(parameter => this.setSymbolType(parameter, BuiltInTypes.any));
+                this.pendingFunctions.push(statement);
+                return;
+
+            case SyntaxKind.ReturnStatement:
+                statement.expression && this.checkExpression(statement.expression);
+                return;
+        }
+    }
+
+    /**
+     * Checks a declaration. A name without a type annotation gets the type of its initial value,
+     * or it can hold any value if it has no initial value or the initial value is nothing.
+     * @param {VarDeclStatement} statement
+     */
+    checkVarDeclStatement(statement) {
+        const expression = statement.expression;
+        expression && this.checkExpression(expression);
+
+        let type;
+        if (statement.typeAnnotation) {
+            type = this.resolveType(statement.typeAnnotation);
+            expression && this.checkAssignable(expression, type, `the ${statement.isConst ? "constant" : "variable"} '${statement.identifier.token.value}'`);
+        } else {
+            type = expression && expression.type.kind !== TypeKind.Nothing ? expression.type : BuiltInTypes.any;
+        }
+        this.setSymbolType(statement.identifier, type);
+    }
+
+    /**
+     * Checks an assignment. A compound assignment (e.g. 'x += 1') must be a valid binary operation
+     * and its result must fit the target, just like the value of a simple assignment.
+     * @param {AssignmentStatement} statement
+     */
+    checkAssignmentStatement(statement) {
+        const targetType = this.checkExpression(statement.target);
+        const valueType = this.checkExpression(statement.expression);
+        const binaryKind = CompoundAssignmentSyntaxKindMap[statement.operator.kind];
+        const resultType = binaryKind
+            ? this.getBinaryType(binaryKind, targetType, valueType, statement.operator, statement)
+            : valueType;
+
+        if (!resultType.isAssignableTo(targetType)) {
+            this.report(DiagnosticCode.NotAssignable,
+                `A value of the type '${resultType.text}' cannot be assigned to a target of the type '${targetType.text}'.`, statement.expression);
+        }
+    }
+
+    /**
+     * Infers the type of the specified expression and attaches it to the node.
+     * @param   {Expression} expression
+     * @returns {Type}
+     */
+    checkExpression(expression) {
+        return expression.type = this.inferType(expression);
+    }
+
+    /**
+     * Infers the type of the specified expression checking its operands.
+     * @param   {Expression} expression
+     * @returns {Type}
+     */
+    inferType(expression) {
+        switch (expression.kind) {
+            case SyntaxKind.IdentifierName:
+                return this.getSymbolType(this.binder.getSymbol(expression));
+
+            case SyntaxKind.NumericLiteralExpression:
+                return BuiltInTypes.number;
+            case SyntaxKind.StringLiteralExpression:
+                return BuiltInTypes.string;
+            case SyntaxKind.TemplateExpression:
+                expression.expressions.forEach(child => this.checkExpression(child));
+                return BuiltInTypes.string;
+            case SyntaxKind.TrueLiteralExpression:
+            case SyntaxKind.FalseLiteralExpression:
+                return BuiltInTypes.boolean;
+            case SyntaxKind.NothingLiteralExpression:
+                return NothingType;
+
+            // The items of a list have a common type only if all of them have the same type.
+            case SyntaxKind.ListLiteralExpression: {
+                const types = expression.elements
+                    .filter(element => !element.isToken)
+                    .map(element => this.checkExpression(element));
+                const elementType = types.length && types.every(type => type.equals(types[0])) ? types[0] : BuiltInTypes.any;
+                return Type.listOf(elementType);
+            }
+
+            case SyntaxKind.ElementAccessExpression: {
+                const indexType = this.checkExpression(expression.index);
+                if (!indexType.isAssignableTo(BuiltInTypes.number)) {
+                    this.report(DiagnosticCode.InvalidOperandType,
+                        `The position of an item must be a number, not a value of the type '${indexType.text}'.`, expression.index);
+                }
+                return this.getElementType(expression.expression, DiagnosticCode.NotIndexable,
+                    type => `Only lists and strings have items, but a value of the type '${type.text}' has none.`);
+            }
+
+            case SyntaxKind.ObjectLiteralExpression:
+                expression.properties
+                    .filter(property => property.kind === SyntaxKind.PropertyAssignment)
+                    .forEach(property => this.checkExpression(property.expression));
+                return BuiltInTypes.record;
+
+            // The members of a record are not tracked, so they can hold any value.
+            case SyntaxKind.MemberAccessExpression: {
+                const type = this.checkExpression(expression.expression);
+                if (!type.isAssignableTo(BuiltInTypes.record)) {
+                    this.report(DiagnosticCode.NotRecord,
+                        `Only records have members, but a value of the type '${type.text}' has none.`, expression.expression);
+                }
+                return BuiltInTypes.any;
+            }
+
+            case SyntaxKind.ParenthesizedExpression:
+                return this.checkExpression(expression.expression);
+
+            case SyntaxKind.UnaryPlusExpression:
+            case SyntaxKind.UnaryMinusExpression:
+            case SyntaxKind.LogicalNotExpression:
+                return this.checkUnaryExpression(expression);
+
+            case SyntaxKind.InvocationExpression:
+                return this.checkInvocationExpression(expression);
+
+            default:
+                if (expression instanceof BinaryExpression) {
+                    return this.getBinaryType(expression.kind,
+                        this.checkExpression(expression.left),
+                        this.checkExpression(expression.right),
+                        expression.operator, expression);
+                }
+                return BuiltInTypes.any;
+        }
+    }
+
+    /**
+     * Gets the type of the items of a list or a string.
+     * @param   {Expression} expression
+     * @param   {DiagnosticCode} code          The code reported if the expression has no items.
+     * @param   {Function}       formatMessage Creates the message reported if the expression has no items.
+     * @returns {Type}
+     */
+    getElementType(expression, code, formatMessage) {
+        const type = this.checkExpression(expression);
+        switch (type.kind) {
+            case TypeKind.List: return type.elementType;
+            case TypeKind.String: return BuiltInTypes.string;
+            case TypeKind.Any: return BuiltInTypes.any;
+        }
+        this.report(code, formatMessage(type), expression);
+        return BuiltInTypes.any;
+    }
+
+    /**
+     * Checks a unary expression: the sign operators need a number, while 'not' can be applied
+     * to any value (like a condition) and gives back a boolean value.
+     * @param   {UnaryExpression} expression
+     * @returns {Type}
+     */
+    checkUnaryExpression(expression) {
+        const operandType = this.checkExpression(expression.operand);
+        if (expression.kind === SyntaxKind.LogicalNotExpression) {
+            return BuiltInTypes.boolean;
+        }
+        const type = BuiltInTypes.number;
+        if (!operandType.isAssignableTo(type)) {
+            this.report(DiagnosticCode.InvalidOperandType,
+                `The operator '${expression.operator.text}' cannot be applied to a value of the type '${operandType.text}'.`, expression);
+        }
+        return type;
+    }
+
+    /**
+     * Gets the type of the result of a binary operation and reports the operands it cannot be applied to.
+     * '+' adds numbers or joins a string with any value, the other arithmetic operators need numbers,
+     * the relational operators compare two numbers or two strings, and the logical ones accept any values
+     * and give back one of their operands, so their type is the common type of the operands or any.
+     * @param   {SyntaxKind}  kind     The kind of the binary expression.
+     * @param   {Type}        left
+     * @param   {Type}        right
+     * @param   {SyntaxToken} operator
+     * @param   {SyntaxNode}  node     The syntax element the problem belongs to.
+     * @returns {Type}
+     */
+    getBinaryType(kind, left, right, operator, node) {
+        const both = type => left.isAssignableTo(type) && right.isAssignableTo(type);
+        let type = void 0;
+
+        if (kind === SyntaxKind.AddExpression) {
+            if (left.kind === TypeKind.String || right.kind === TypeKind.String) {
+                type = BuiltInTypes.string;
+            } else if (left.isAny || right.isAny) {
+                type = BuiltInTypes.any;
+            } else if (both(BuiltInTypes.number)) {
+                type = BuiltInTypes.number;
+            }
+        } else if (ArithmeticSyntaxKinds.includes(kind)) {
+            type = both(BuiltInTypes.number) ? BuiltInTypes.number : void 0;
+        } else if (RelationalSyntaxKinds.includes(kind)) {
+            type = both(BuiltInTypes.number) || both(BuiltInTypes.string) ? BuiltInTypes.boolean : void 0;
+        } else if (kind === SyntaxKind.LogicalAndExpression || kind === SyntaxKind.LogicalOrExpression) {
+            type = left.equals(right) ? left : BuiltInTypes.any;
+        } else {
+            // The equality operators can compare any values.
+            type = BuiltInTypes.boolean;
+        }
+
+        if (!type) {
+            this.report(DiagnosticCode.InvalidOperandType,
+                `The operator '${operator.text}' cannot be applied to the types '${left.text}' and '${right.text}'.`, node);
+            return BuiltInTypes.any;
+        }
+        return type;
+    }
+
+    /**
+     * Checks the arguments of an invocation. The arguments of a command must fit the types of its parameters
+     * declared in the command registry; the functions of the program can receive and give back any value.
+     * @param   {InvocationExpression} expression
+     * @returns {Type}
+     */
+    checkInvocationExpression(expression) {
+        const args = expression.arguments.children.filter(child => !child.isToken);
+        args.forEach(argument => this.checkExpression(argument.kind === SyntaxKind.NamedArgument ? argument.expression : argument));
+
+        const symbol = this.binder.getSymbol(expression.identifier);
+        if (!symbol || symbol.kind !== SymbolKind.Command) {
+            return BuiltInTypes.any;
+        }
+
+        const command = BuiltInCommands.get(symbol.name);
+        args.forEach((argument, index) => {
+            if (argument.kind === SyntaxKind.NamedArgument) {
+                index = command.parameterNames.indexOf(argument.name.token.value);
+                argument = argument.expression;
+            }
+            if (index < 0 || index >= command.parameters.length) {
+                return; // The binder reports the unknown parameters and the extra arguments.
+            }
+            const parameter = command.parameters[index];
+            const parameterType = BuiltInTypes[parameter.type];
+            if (!argument.type.isAssignableTo(parameterType)) {
+                this.report(DiagnosticCode.InvalidArgumentType,
+                    `The parameter '${parameter.name}' of the command '${command.name}' expects a value of the type '${parameterType.text}', ` +
+                    `not a value of the type '${argument.type.text}'.`, argument);
+            }
+        });
+
+        return BuiltInTypes[command.returnType];
+    }
+}
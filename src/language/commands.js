@@ -0,0 +1,242 @@
+// Sample Programming Language
+// Copyright (c) János Janka - All rights reserved.
+
+"use strict";
+
+//
+// Declares the built-in commands of the language in a single registry, so that
+// the compiler can check the calls, the runtime can provide the implementations
+// and the code editor can display the documentation from the same source.
+//
+
+/** Represents an error that stops a running Sample program. */
+class RuntimeError extends Error {
+    get name() { return "Runtime Error"; }
+}
+
+/** Represents a parameter of a built-in command. */
+class CommandParameter {
+    /**
+     * @param {Object}  declaration
+     * @param {string}  declaration.name
+     * @param {string}  declaration.type           The name of the type of the expected values (e.g. "string").
+     * @param {boolean} [declaration.optional]     True if the argument can be omitted.
+     * @param {*}       [declaration.defaultValue] The value used if the argument is omitted; it makes the parameter optional.
+     */
+    constructor(declaration) {
+        this.name = declaration.name;
+        this.type = declaration.type;
+        this.defaultValue = declaration.defaultValue;
+        this.isOptional = !!declaration.optional || declaration.defaultValue !== void 0;
+    }
+
+    /** Gets the parameter as it is displayed in the documentation (e.g. 'voice?: string' or 'rate: number = 1'). */
+    get text() {
+        return this.defaultValue !== void 0
+            ? `${this.name}: ${this.type} = ${JSON.stringify(this.defaultValue)}`
+            : `${this.name}${this.isOptional ? "?" : ""}: ${this.type}`;
+    }
+}
+
+/** Represents the declaration of a built-in command. */
+class CommandSignature {
+    /**
+     * @param {Object}   declaration
+     * @param {string}   declaration.name
+     * @param {Array}    declaration.parameters     The declarations of the parameters in their order.
+     * @param {string}   declaration.returnType     The name of the type of the result; commands giving back
+     *                                              a promise are queued by the runtime and run one after another.
+     * @param {string}   declaration.description
+     * @param {Function} declaration.implementation
+     */
+    constructor(declaration) {
+        this.name = declaration.name;
+        this.parameters = declaration.parameters.map(parameter => new CommandParameter(parameter));
+        this.returnType = declaration.returnType;
+        this.description = declaration.description;
+        this.implementation = declaration.implementation;
+    }
+
+    /** Gets the name of the function that the runtime provides and the emitted code calls (e.g. '__speak'). */
+    get runtimeName() {
+        return `__${this.name}`;
+    }
+
+    /** Gets the names of the parameters in their order. */
+    get parameterNames() {
+        return this.parameters.map(parameter => parameter.name);
+    }
+
+    /** Gets the number of the arguments that cannot be omitted. */
+    get requiredCount() {
+        return this.parameters.filter(parameter => !parameter.isOptional).length;
+    }
+
+    /** Returns true if the command runs later, after the previously called commands have finished. */
+    get isAsync() {
+        return this.returnType === "promise";
+    }
+
+    /** Gets the signature as it is displayed in the documentation (e.g. 'search(text: string): promise'). */
+    get text() {
+        return `${this.name}(${this.parameters.map(parameter => parameter.text).join(", ")}): ${this.returnType}`;
+    }
+
+    /**
+     * Creates the function that is called by the emitted code.
+     * An omitted argument or a missing value (nothing) is replaced with the default value of its parameter.
+     * @returns {Function}
+     */
+    createFunction() {
+        const getArgument = (parameter, value) =>
+            parameter.defaultValue !== void 0 && (value === void 0 || value === null) ? parameter.defaultValue : value;
+        return (...args) => this.implementation(...this.parameters.map((parameter, index) => getArgument(parameter, args[index])));
+    }
+}
+
+/** Represents the set of the built-in commands by their names. */
+class CommandRegistry {
+    /** Creates a new empty registry. */
+    constructor() {
+        this.commands = new Map();
+    }
+
+    /**
+     * Adds a new command to the registry.
+     * @param   {Object} declaration See the constructor of CommandSignature.
+     * @returns {CommandSignature}
+     */
+    register(declaration) {
+        if (this.commands.has(declaration.name)) {
+            throw new Error(`The command '${declaration.name}' has already been registered.`);
+        }
+        const signature = new CommandSignature(declaration);
+        this.commands.set(signature.name, signature);
+        return signature;
+    }
+
+    /**
+     * Gets the command having the specified name.
+     * @param   {string} name
+     * @returns {CommandSignature} The command or undefined if there is no such command.
+     */
+    get(name) {
+        return this.commands.get(name);
+    }
+
+    /**
+     * Returns true if there is a command having the specified name.
+     * @param   {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.commands.has(name);
+    }
+
+    /** Gets all the commands in the order of their registration. */
+    get all() {
+        return Array.from(this.commands.values());
+    }
+}
+
+/** The commands that every Sample program can call. */
+const BuiltInCommands = new CommandRegistry();
+
+BuiltInCommands.register({
+    name: "speak",
+    parameters: [
+        { name: "text", type: "string", defaultValue: "Hello!" },
+        { name: "voice", type: "string", optional: true },
+        { name: "rate", type: "number", defaultValue: 1 }
+    ],
+    returnType: "promise",
+    description: "Reads the text aloud using the responsive voice API (http://responsivevoice.org).",
+    implementation: (text, voice, rate) => {
+        const deferred = jQuery.Deferred();
+        responsiveVoice.speak(text, voice, { volume: 1, rate: rate, onend: () => { deferred.resolve(); } });
+        return deferred;
+    }
+});
+
+BuiltInCommands.register({
+    name: "search",
+    parameters: [
+        { name: "text", type: "string" }
+    ],
+    returnType: "promise",
+    description: "Searches the text on the internet in a new window.",
+    implementation: text => window.open(`http://www.bing.com/search?q=${encodeURIComponent(text)}`, "blank")
+});
+
+BuiltInCommands.register({
+    name: "dialog",
+    parameters: [
+        { name: "text", type: "string" }
+    ],
+    returnType: "promise",
+    description: "Displays the text in a modal dialog window.",
+    implementation: text => {
+        jQuery(`
+<div class="modal fade">
+    <div class="modal-dialog" role="document">
+        <div class="modal-content">
+            <div class="modal-header">
+                <button type="button" class="close" data-dismiss="modal" aria-label="Close"><span aria-hidden="true">&times;</span></button>
+                <h4 class="modal-title">Sample Program</h4>
+            </div>
+            <div class="modal-body">${text}</div>
+            <div class="modal-footer">
+                <button type="button" class="btn btn-default" data-dismiss="modal">Close</button>
+            </div>
+        </div>
+    </div>
+</div>`).modal({ show: true });
+    }
+});
+
+BuiltInCommands.register({
+    name: "length",
+    parameters: [
+        { name: "list", type: "any" }
+    ],
+    returnType: "number",
+    description: "Gives back the number of the items in a list or the characters in a string.",
+    implementation: list => {
+        if (!Array.isArray(list) && typeof list !== "string") {
+            throw new RuntimeError(`Only lists and strings have a length, but ${JSON.stringify(list)} is neither.`);
+        }
+        return list.length;
+    }
+});
+
+BuiltInCommands.register({
+    name: "append",
+    parameters: [
+        { name: "list", type: "list" },
+        { name: "item", type: "any" }
+    ],
+    returnType: "list",
+    description: "Adds the item to the end of the list and gives back the list.",
+    implementation: (list, item) => {
+        if (!Array.isArray(list)) {
+            throw new RuntimeError(`Only the items of a list can be changed, but ${JSON.stringify(list)} is not a list.`);
+        }
+        list.push(item);
+        return list;
+    }
+});
+
+BuiltInCommands.register({
+    name: "pick",
+    parameters: [
+        { name: "list", type: "list" }
+    ],
+    returnType: "any",
+    description: "Picks an item of the list at random.",
+    implementation: list => {
+        if (!Array.isArray(list) || !list.length) {
+            throw new RuntimeError("A random item can be picked only from a list that is not empty.");
+        }
+        return list[Math.floor(Math.random() * list.length)];
+    }
+});
@@ -0,0 +1,195 @@
+// Sample Programming Language
+// Copyright (c) János Janka - All rights reserved.
+
+/// <reference path="types.js" />
+
+"use strict";
+
+/** Represents how serious a problem is. An error stops the compilation, a warning does not. */
+const DiagnosticSeverity = {
+    Error: 1,
+    Warning: 2
+};
+
+// Do not use "const name" because IE's Chakra engine
+// does not allow const binding of the variable for the time being.
+for (let name in DiagnosticSeverity) {
+    DiagnosticSeverity[DiagnosticSeverity[name]] = name;
+}
+
+/** Represents a range of the source text together with the line and the column where it starts. */
+class TextSpan {
+    /**
+     * @param {number} start  Offset of the first character.
+     * @param {number} end    Offset after the last character.
+     * @param {number} line   1-based line number of the first character.
+     * @param {number} column 1-based column number of the first character.
+     */
+    constructor(start, end, line, column) {
+        this.start = start;
+        this.end = end;
+        this.line = line;
+        this.column = column;
+    }
+
+    /**
+     * Creates the span of the specified token or node.
+     * @param   {SyntaxItem | TextSpan} item
+     * @returns {TextSpan}
+     */
+    static from(item) {
+        return item instanceof TextSpan ? item : new TextSpan(item.start, item.end, item.line, item.column);
+    }
+
+    /** Formats the location (line and column) of the span. */
+    toString() {
+        return this.line !== void 0 ? `line ${this.line}, col ${this.column}` : "";
+    }
+}
+
+/** Represents another place of the source text that helps to understand a problem (e.g. the first declaration of a duplicate name). */
+class RelatedLocation {
+    /**
+     * @param {string}                message
+     * @param {SyntaxItem | TextSpan} item
+     */
+    constructor(message, item) {
+        this.message = message;
+        this.span = TextSpan.from(item);
+    }
+}
+
+/** Represents a problem found in the source text by one of the phases of the compiler. */
+class Diagnostic {
+    /**
+     * @param {DiagnosticCode}        code
+     * @param {DiagnosticSeverity}    severity
+     * @param {string}                message
+     * @param {SyntaxItem | TextSpan} item               The syntax element or the span of the source text the problem belongs to.
+     * @param {RelatedLocation[]}     [relatedLocations]
+     */
+    constructor(code, severity, message, item, relatedLocations) {
+        this.code = code;
+        this.severity = severity;
+        this.message = message;
+        this.span = TextSpan.from(item);
+        this.relatedLocations = relatedLocations || [];
+    }
+
+    /** Gets the offset of the first character of the span. */
+    get start() { return this.span.start; }
+
+    /** Gets the offset after the last character of the span. */
+    get end() { return this.span.end; }
+
+    /** Gets the 1-based line number where the span starts. */
+    get line() { return this.span.line; }
+
+    /** Gets the 1-based column number where the span starts. */
+    get column() { return this.span.column; }
+
+    /** Returns true if the problem stops the compilation. */
+    get isError() {
+        return this.severity === DiagnosticSeverity.Error;
+    }
+
+    toString() {
+        const location = this.span.toString();
+        return `${DiagnosticSeverity[this.severity]} SL${this.code}` + (location ? ` (${location})` : "") + ": " + this.message;
+    }
+}
+
+/**
+ * Collects the problems reported by a phase of the compiler. The phases never stop
+ * at the first problem; they report all of them into a bag.
+ */
+class DiagnosticBag {
+    /** Creates a new empty bag. */
+    constructor() {
+        this.items = [];
+    }
+
+    /** Gets the number of the problems in the bag. */
+    get length() {
+        return this.items.length;
+    }
+
+    /** Returns true if any of the problems stops the compilation. */
+    get hasErrors() {
+        return this.items.some(diagnostic => diagnostic.isError);
+    }
+
+    /** Gets the problems that stop the compilation. */
+    get errors() {
+        return this.items.filter(diagnostic => diagnostic.isError);
+    }
+
+    /** Gets the problems that do not stop the compilation. */
+    get warnings() {
+        return this.items.filter(diagnostic => !diagnostic.isError);
+    }
+
+    /**
+     * Adds a new problem to the bag.
+     * @param   {DiagnosticCode}        code
+     * @param   {DiagnosticSeverity}    severity
+     * @param   {string}                message
+     * @param   {SyntaxItem | TextSpan} item
+     * @param   {RelatedLocation[]}     [relatedLocations]
+     * @returns {Diagnostic}
+     */
+    report(code, severity, message, item, relatedLocations) {
+        const diagnostic = new Diagnostic(code, severity, message, item, relatedLocations);
+        this.items.push(diagnostic);
+        return diagnostic;
+    }
+
+    /**
+     * Adds a new error to the bag.
+     * @param   {DiagnosticCode}        code
+     * @param   {string}                message
+     * @param   {SyntaxItem | TextSpan} item
+     * @param   {RelatedLocation[]}     [relatedLocations]
+     * @returns {Diagnostic}
+     */
+    reportError(code, message, item, relatedLocations) {
+        return this.report(code, DiagnosticSeverity.Error, message, item, relatedLocations);
+    }
+
+    /**
+     * Adds a new warning to the bag.
+     * @param   {DiagnosticCode}        code
+     * @param   {string}                message
+     * @param   {SyntaxItem | TextSpan} item
+     * @param   {RelatedLocation[]}     [relatedLocations]
+     * @returns {Diagnostic}
+     */
+    reportWarning(code, message, item, relatedLocations) {
+        return this.report(code, DiagnosticSeverity.Warning, message, item, relatedLocations);
+    }
+
+    /**
+     * Adds all the problems of another bag.
+     * @param {DiagnosticBag} bag
+     */
+    addRange(bag) {
+        this.items.push(...bag.items);
+    }
+
+    /**
+     * Removes the problems reported after the specified number of problems.
+     * @param {number} length
+     */
+    truncate(length) {
+        this.items.length = length;
+    }
+
+    /** Sorts the problems by their position in the source text. */
+    sort() {
+        this.items.sort((a, b) => a.start - b.start);
+    }
+
+    [Symbol.iterator]() {
+        return this.items[Symbol.iterator]();
+    }
+}
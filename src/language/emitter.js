@@ -3,10 +3,61 @@
 
 /// <reference path="utils.js" />
 /// <reference path="types.js" />
+/// <reference path="diagnostics.js" />
+/// <reference path="binder.js" />
+/// <reference path="commands.js" />
 
 "use strict";
 
+/** The precedence of the expressions that are never split by other operators (literals, names, etc.) */
+const PrimaryPrecedence = 100;
+
+/**
+ * Maps the unary and binary expressions to JavaScript operators and their precedence
+ * (higher binds more tightly). Equality is strict in Sample, so == and != become === and !==.
+ */
+const JavaScriptOperators = {
+    [SyntaxKind.LogicalOrExpression]: { text: "||", precedence: 1 },
+    [SyntaxKind.LogicalAndExpression]: { text: "&&", precedence: 2 },
+    [SyntaxKind.EqualsExpression]: { text: "===", precedence: 3 },
+    [SyntaxKind.NotEqualsExpression]: { text: "!==", precedence: 3 },
+    [SyntaxKind.LessThanExpression]: { text: "<", precedence: 4 },
+    [SyntaxKind.LessThanOrEqualExpression]: { text: "<=", precedence: 4 },
+    [SyntaxKind.GreaterThanExpression]: { text: ">", precedence: 4 },
+    [SyntaxKind.GreaterThanOrEqualExpression]: { text: ">=", precedence: 4 },
+    [SyntaxKind.AddExpression]: { text: "+", precedence: 5 },
+    [SyntaxKind.SubtractExpression]: { text: "-", precedence: 5 },
+    [SyntaxKind.MultiplyExpression]: { text: "*", precedence: 6 },
+    [SyntaxKind.DivideExpression]: { text: "/", precedence: 6 },
+    [SyntaxKind.ModuloExpression]: { text: "%", precedence: 6 },
+    [SyntaxKind.ExponentExpression]: { text: "**", precedence: 7 },
+    [SyntaxKind.UnaryPlusExpression]: { text: "+", precedence: 8 },
+    [SyntaxKind.UnaryMinusExpression]: { text: "-", precedence: 8 },
+    [SyntaxKind.LogicalNotExpression]: { text: "!", precedence: 8 }
+};
+
 class Emitter {
+    /**
+     * Creates a new emitter.
+     * @param {DiagnosticBag} [diagnostics] The bag the problems are reported into.
+     */
+    constructor(diagnostics) {
+        this.indentLevel = 0;
+        this.functions = new Map();
+        this.diagnostics = diagnostics || new DiagnosticBag();
+    }
+
+    /**
+     * Records a problem that makes the emitted code unusable. The emitter goes on,
+     * so all the problems of the program are reported at once.
+     * @param {DiagnosticCode} code
+     * @param {string}         message
+     * @param {SyntaxItem}     item    The syntax element the problem belongs to.
+     */
+    report(code, message, item) {
+        this.diagnostics.reportError(code, message, item);
+    }
+
     /**
      * Translates the given SyntaxNode with its children (the whole tree)
      * to JavaScript source text.
@@ -26,67 +77,279 @@ class Emitter {
             case SyntaxKind.InvocationExpression:
                 return this.emitInvocationExpression(expression);
 
+            case SyntaxKind.IdentifierName:
+                // The identifiers of Sample are valid JavaScript identifiers, and the binder has already
+                // reported the declared names that are reserved words in JavaScript (e.g. 'new'),
+                // so we can directly pass these Sample tokens to the translated source text :-)
+                // The value is used instead of the text because it is normalized.
+                return expression.token.value;
+
             case SyntaxKind.NumericLiteralExpression:
+                // Numeric literals are written as decimal numbers because older JavaScript engines
+                // do not understand the digit separators or the binary and octal forms.
+                return String(expression.token.value);
+
             case SyntaxKind.StringLiteralExpression:
-            case SyntaxKind.IdentifierName:
-                // Since both literals and identifiers are compatible with ECMA 6 (JavaScript) standards,
-                // we can directly pass these Sample tokens to the translated source text without extra work :-)
-                return expression.token.text;
+                // Escape sequences of JavaScript differ from ours (e.g. '\x41'), so we never
+                // copy the raw text but write the cooked value of the token with proper escaping.
+                return this.emitStringLiteral(expression.token.value);
+
+            case SyntaxKind.TemplateExpression:
+                return this.emitTemplateExpression(expression);
+
+            case SyntaxKind.TrueLiteralExpression:
+                return "true";
+
+            case SyntaxKind.FalseLiteralExpression:
+                return "false";
+
+            case SyntaxKind.NothingLiteralExpression:
+                return "null";
+
+            case SyntaxKind.ListLiteralExpression:
+                return `[${expression.elements.map(element => this.emitExpression(element)).join(", ")}]`;
+
+            // The runtime checks the position, so a mistake stops the program with a clear message.
+            case SyntaxKind.ElementAccessExpression:
+                return `__getItem(${this.emitExpression(expression.expression)}, ${this.emitExpression(expression.index)})`;
+
+            case SyntaxKind.ObjectLiteralExpression:
+                return this.emitObjectLiteralExpression(expression);
+
+            // The runtime checks whether the record has the member.
+            case SyntaxKind.MemberAccessExpression:
+                return `__getMember(${this.emitExpression(expression.expression)}, "${expression.name.token.value}")`;
 
             case SyntaxKind.ParenthesizedExpression:
                 return `${expression.openParenToken.text}${this.emitExpression(expression.expression)}${expression.closeParenToken.text}`;
 
             case SyntaxKind.UnaryPlusExpression:
             case SyntaxKind.UnaryMinusExpression:
-                return `${expression.operator.text}${this.emitExpression(expression.operand)}`;
+            case SyntaxKind.LogicalNotExpression:
+                return this.emitUnaryExpression(expression);
 
             // Binary expressions
             case SyntaxKind.AddExpression:
             case SyntaxKind.SubtractExpression:
             case SyntaxKind.MultiplyExpression:
             case SyntaxKind.DivideExpression:
-                return `${this.emitExpression(expression.left)}${expression.operator.text}${this.emitExpression(expression.right)}`;
+            case SyntaxKind.ModuloExpression:
+            case SyntaxKind.ExponentExpression:
+            case SyntaxKind.EqualsExpression:
+            case SyntaxKind.NotEqualsExpression:
+            case SyntaxKind.LessThanExpression:
+            case SyntaxKind.LessThanOrEqualExpression:
+            case SyntaxKind.GreaterThanExpression:
+            case SyntaxKind.GreaterThanOrEqualExpression:
+            case SyntaxKind.LogicalAndExpression:
+            case SyntaxKind.LogicalOrExpression:
+                return this.emitBinaryExpression(expression);
 
             default:
                 // Ooops! Something is wrong. This expression is unknown for the emmiter.
-                throw new EmitterError(`The expression '${expression.kindText}' is not supported.`);
+                this.report(DiagnosticCode.UnsupportedSyntax, `The expression '${expression.kindText}' is not supported.`, expression);
+                return "undefined";
+        }
+    }
+
+    /**
+     * Emits JavaScript source text for the specified unary expression.
+     * @param   {UnaryExpression} expression
+     * @returns {string}
+     */
+    emitUnaryExpression(expression) {
+        const operator = JavaScriptOperators[expression.kind];
+        const operand = this.emitOperand(expression.operand, operator.precedence);
+
+        // - -x must not be written as --x which would be a decrement in JavaScript.
+        return operator.text !== "!" && /^[+-]/.test(operand)
+            ? `${operator.text} ${operand}`
+            : `${operator.text}${operand}`;
+    }
+
+    /**
+     * Emits JavaScript source text for the specified binary expression.
+     * @param   {BinaryExpression} expression
+     * @returns {string}
+     */
+    emitBinaryExpression(expression) {
+        const operator = JavaScriptOperators[expression.kind];
+        let left, right;
+        if (expression.kind === SyntaxKind.ExponentExpression) {
+            // ** is right-associative and JavaScript does not allow a unary expression
+            // as its left operand without parentheses: (-2) ** 2
+            left = this.emitOperand(expression.left, PrimaryPrecedence);
+            right = this.emitOperand(expression.right, operator.precedence);
+        } else {
+            left = this.emitOperand(expression.left, operator.precedence);
+            right = this.emitOperand(expression.right, operator.precedence + 1);
         }
+        return `${left} ${operator.text} ${right}`;
+    }
+
+    /**
+     * Emits an operand of a unary or binary operator. The operand is parenthesized
+     * if its JavaScript operator binds less tightly than the specified precedence,
+     * since the precedence of some Sample operators differs from JavaScript (e.g. 'not').
+     * @param   {Expression} operand
+     * @param   {number}     precedence The minimum precedence that does not need parentheses.
+     * @returns {string}
+     */
+    emitOperand(operand, precedence) {
+        const operator = JavaScriptOperators[operand.kind];
+        const text = this.emitExpression(operand);
+        return (operator ? operator.precedence : PrimaryPrecedence) < precedence ? `(${text})` : text;
+    }
+
+    /**
+     * Emits a double-quoted JavaScript string literal for the specified value.
+     * @param   {string} value
+     * @returns {string}
+     */
+    emitStringLiteral(value) {
+        // JSON strings are valid JavaScript strings, except that the line and paragraph separators
+        // were not allowed in string literals before ECMAScript 2019.
+        return JSON.stringify(value)
+            .replace(/\u2028/g, "\\u2028")
+            .replace(/\u2029/g, "\\u2029");
     }
 
     /**
-     * Emits JavaScript source text for the specified argument list.
-     * @param   {ArgumentListSyntax} args
+     * Emits a JavaScript template literal for the specified template expression.
+     * @param   {TemplateExpression} expression
+     * @returns {string}
+     */
+    emitTemplateExpression(expression) {
+        let text = "`";
+        expression.children.forEach((node, index) => {
+            if (index % 2 === 0) {
+                text += node.value
+                    .replace(/[\\`]|\$\{/g, match => "\\" + match)
+                    .replace(/\r/g, "\\r");
+            } else {
+                text += "${" + this.emitExpression(node) + "}";
+            }
+        });
+        text += "`";
+        return text;
+    }
+
+    /**
+     * Emits JavaScript source text for the specified arguments.
+     * A skipped optional parameter gets an undefined argument.
+     * @param   {Array} args The argument expressions in the order of the parameters.
      * @returns {string}
      */
     emitArguments(args) {
-        return args.children.map(arg => this.emitExpression(arg)).join(", ");
+        return Array.from(args, arg => arg ? this.emitExpression(arg) : "undefined").join(", ");
+    }
+
+    /**
+     * Puts the arguments of an invocation into the order of the declared parameters.
+     * Positional arguments keep their order, while each named argument is moved to
+     * the position of the parameter having the same name.
+     * @param   {InvocationExpression} expression
+     * @param   {Array}                parameters The parameter names of the called function or command.
+     * @returns {Array} The argument expressions; a skipped parameter has no item.
+     */
+    orderArguments(expression, parameters) {
+        const args = Array.from(expression.arguments.children);
+        if (!args.length || args[0].kind !== SyntaxKind.NamedArgument) {
+            return args;
+        }
+
+        // The binder has already reported the named arguments that match no parameter.
+        const orderedArgs = [];
+        args.forEach(arg => orderedArgs[parameters.indexOf(arg.name.token.value)] = arg.expression);
+        return orderedArgs;
+    }
+
+    /**
+     * Emits JavaScript source text for the specified record.
+     * @param   {ObjectLiteralExpression} expression
+     * @returns {string}
+     */
+    emitObjectLiteralExpression(expression) {
+        const properties = expression.properties.map(property =>
+            `${property.name.token.value}: ${this.emitExpression(property.expression)}`);
+        return properties.length ? `{ ${properties.join(", ")} }` : "{}";
     }
 
     /**
      * Emits JavaScript source text for the specified memorize statement.
+     * A variable declared without a value holds 'nothing' (null) rather than undefined,
+     * so it can be compared to the literal nothing.
      * @param   {VarDeclStatement} statement
      * @returns {string}
      */
     emitVarDeclStatement(statement) {
-        let text = "let ";
+        let text = statement.isConst ? "const " : "let ";
         text += statement.identifier.token.value;
-        if (statement.expression) {
-            text += " = ";
-            text += this.emitExpression(statement.expression);
-        }
+        text += " = ";
+        text += statement.expression ? this.emitExpression(statement.expression) : "null";
         text += ";";
         return text;
     }
 
+    /**
+     * Emits JavaScript source text for the specified assignment statement.
+     * The binder has already checked whether the target can be assigned a new value.
+     * @param   {AssignmentStatement} statement
+     * @returns {string}
+     */
+    emitAssignmentStatement(statement) {
+        const target = statement.target;
+        if (target.kind === SyntaxKind.ElementAccessExpression ||
+            target.kind === SyntaxKind.MemberAccessExpression) {
+            return this.emitElementAssignment(statement);
+        }
+        return `${target.token.value} ${statement.operator.text} ${this.emitExpression(statement.expression)};`;
+    }
+
+    /**
+     * Emits JavaScript source text for an assignment to a list item or a record member.
+     * The runtime checks the position, and a compound assignment evaluates the list
+     * and the position only once: xs[i] += 1 becomes __updateItem(xs, i, __item => __item + 1).
+     * @param   {AssignmentStatement} statement
+     * @returns {string}
+     */
+    emitElementAssignment(statement) {
+        const isMember = statement.target.kind === SyntaxKind.MemberAccessExpression;
+        const helper = isMember ? "Member" : "Item";
+        const owner = this.emitExpression(statement.target.expression);
+        const key = isMember ? `"${statement.target.name.token.value}"` : this.emitExpression(statement.target.index);
+        const binaryKind = CompoundAssignmentSyntaxKindMap[statement.operator.kind];
+        if (!binaryKind) {
+            return `__set${helper}(${owner}, ${key}, ${this.emitExpression(statement.expression)});`;
+        }
+        const operator = JavaScriptOperators[binaryKind];
+        const value = this.emitOperand(statement.expression,
+            binaryKind === SyntaxKind.ExponentExpression ? operator.precedence : operator.precedence + 1);
+        return `__update${helper}(${owner}, ${key}, __item => __item ${operator.text} ${value});`;
+    }
+
     /**
      * Emits JavaScript source text for the specified invocation expression.
+     * The arguments of the built-in commands are ordered by their signature in the command registry.
      * @param   {InvocationExpression} expression
      * @returns {string}
      */
     emitInvocationExpression(expression) {
-        let text = expression.identifier.token.value;
+        const name = expression.identifier.token.value;
+        const declaration = this.functions.get(name);
+        const command = declaration ? void 0 : BuiltInCommands.get(name);
+        const parameters = declaration
+            ? declaration.parameters.children.map(parameter => parameter.token.value)
+            : command && command.parameterNames;
+
+        // The binder has already checked the arguments of the functions and the commands,
+        // so we only put them into the order of the parameters. The omitted optional parameters
+        // of a command get their default values at runtime.
+        const args = this.orderArguments(expression, parameters);
+
+        let text = command ? command.runtimeName : name;
         text += "(";
-        text += this.emitArguments(expression.arguments);
+        text += this.emitArguments(args);
         text += ")";
         if (expression.isParentKind(SyntaxKind.Block)) {
             text += ";";
@@ -94,6 +357,84 @@ class Emitter {
         return text;
     }
 
+    /**
+     * Emits JavaScript source text for the specified if statement.
+     * Conditions follow the truthiness of JavaScript: false, nothing (null), 0, NaN and ""
+     * count as false, every other value counts as true.
+     * @param   {IfStatement} statement
+     * @returns {string}
+     */
+    emitIfStatement(statement) {
+        let text = `if (${this.emitExpression(statement.condition)}) `;
+        text += this.emitBlock(statement.block);
+        if (statement.elseStatement) {
+            text += " else ";
+            text += statement.elseStatement.kind === SyntaxKind.IfStatement
+                ? this.emitIfStatement(statement.elseStatement)
+                : this.emitBlock(statement.elseStatement);
+        }
+        return text;
+    }
+
+    /**
+     * Emits JavaScript source text for the specified while loop.
+     * Loops run synchronously: the commands invoked in the block are queued by the runtime
+     * and executed one after another once the loop has finished.
+     * @param   {WhileStatement} statement
+     * @returns {string}
+     */
+    emitWhileStatement(statement) {
+        return `while (${this.emitExpression(statement.condition)}) ${this.emitBlock(statement.block)}`;
+    }
+
+    /**
+     * Emits JavaScript source text for the specified repeat loop.
+     * The count is evaluated only once. The counter cannot collide with a Sample variable
+     * because Sample identifiers cannot start with an underscore.
+     * @param   {RepeatStatement} statement
+     * @returns {string}
+     */
+    emitRepeatStatement(statement) {
+        const count = this.emitExpression(statement.count);
+        return `for (let __repeat = ${count}; __repeat > 0; __repeat--) ${this.emitBlock(statement.block)}`;
+    }
+
+    /**
+     * Emits JavaScript source text for the specified for each loop.
+     * Each iteration gets its own constant so the queued commands see the item of their own iteration.
+     * @param   {ForEachStatement} statement
+     * @returns {string}
+     */
+    emitForEachStatement(statement) {
+        const identifier = this.emitExpression(statement.identifier);
+        const expression = this.emitExpression(statement.expression);
+        return `for (const ${identifier} of ${expression}) ${this.emitBlock(statement.block)}`;
+    }
+
+    /**
+     * Emits JavaScript source text for the specified function declaration.
+     * User functions are not queued like the runtime commands: they run immediately when called,
+     * and the commands they call join the same queue in the order of the calls.
+     * Thus 'call greet "Bob"; call speak "Bye";' speaks everything greet says before "Bye".
+     * @param   {FunctionDeclaration} declaration
+     * @returns {string}
+     */
+    emitFunctionDeclaration(declaration) {
+        const parameters = declaration.parameters.children.map(parameter => this.emitExpression(parameter)).join(", ");
+        return `function ${declaration.identifier.token.value}(${parameters}) ${this.emitBlock(declaration.block)}`;
+    }
+
+    /**
+     * Emits JavaScript source text for the specified return statement.
+     * A function returns nothing (null) if no value is specified.
+     * @param   {ReturnStatement} statement
+     * @returns {string}
+     */
+    emitReturnStatement(statement) {
+        const expression = statement.expression ? this.emitExpression(statement.expression) : "null";
+        return `return ${expression};`;
+    }
+
     /**
      * Emits JavaScript source text for the specified statement.
      * @param   {SyntaxNode} statement
@@ -103,10 +444,25 @@ class Emitter {
         switch (statement.kind) {
             case SyntaxKind.VarDeclStatement:
                 return this.emitVarDeclStatement(statement);
+            case SyntaxKind.AssignmentStatement:
+                return this.emitAssignmentStatement(statement);
             case SyntaxKind.InvocationExpression:
                 return this.emitInvocationExpression(statement);
+            case SyntaxKind.IfStatement:
+                return this.emitIfStatement(statement);
+            case SyntaxKind.WhileStatement:
+                return this.emitWhileStatement(statement);
+            case SyntaxKind.RepeatStatement:
+                return this.emitRepeatStatement(statement);
+            case SyntaxKind.ForEachStatement:
+                return this.emitForEachStatement(statement);
+            case SyntaxKind.FunctionDeclaration:
+                return this.emitFunctionDeclaration(statement);
+            case SyntaxKind.ReturnStatement:
+                return this.emitReturnStatement(statement);
             default:
-                throw new EmitterError(`The statement '${statement.kindText}' is not supported.`);
+                this.report(DiagnosticCode.UnsupportedSyntax, `The statement '${statement.kindText}' is not supported.`, statement);
+                return "";
         }
     }
 
@@ -117,25 +473,41 @@ class Emitter {
      */
     emitBlock(block) {
         let text = "{";
+        this.indentLevel++;
         block.children.forEach(node => {
+            text += "\n" + this.indentation;
             if (node.kind === SyntaxKind.Block) {
                 text += this.emitBlock(node);
             }
             else {
-                text += "\n\t";
                 text += this.emitStatement(node);
             }
         });
-        text += "\n}";
+        this.indentLevel--;
+        text += "\n" + this.indentation + "}";
         return text;
     }
 
+    /**
+     * Gets the white-space characters written at the beginning of the current line.
+     * @returns {string}
+     */
+    get indentation() {
+        return "\t".repeat(this.indentLevel);
+    }
+
     /**
      * Emits JavaScript source text for the specified program.
      * @param   {ProgramSyntax} program
      * @returns {string}
      */
     emitProgram(program) {
+        // Collect the user functions first, so the arguments of the calls before their declaration can be ordered too.
+        // The binder has already reported the duplicate names.
+        this.functions.clear();
+        program.block.children
+            .filter(node => node.kind === SyntaxKind.FunctionDeclaration)
+            .forEach(declaration => this.functions.set(declaration.identifier.token.value, declaration));
         return `(function ${program.identifier.token.value}() ${this.emitBlock(program.block)})();`
     }
 }
\ No newline at end of file
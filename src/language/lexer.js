@@ -3,6 +3,7 @@
 
 /// <reference path="utils.js" />
 /// <reference path="types.js" />
+/// <reference path="diagnostics.js" />
 
 "use strict";
 
@@ -15,6 +16,10 @@ class Lexer {
         this.source = source || "";
         this.pos = 0;
         this.lastPos = this.source.length - 1;
+        this.line = 1;
+        this.lineStartPos = 0;
+        this.templateBraceDepths = [];
+        this.diagnostics = new DiagnosticBag();
     }
 
     /**
@@ -31,9 +36,17 @@ class Lexer {
      */
     next() {
         const token = new SyntaxToken();
+        token.start = token.end = this.pos;
+        token.line = this.line;
+        token.column = this.pos - this.lineStartPos + 1;
 
         // Check whether the cursor is standing at the end of the source text.
         if (this.pos > this.lastPos) {
+            // A template substitution ${ ... } has not been closed yet.
+            if (this.templateBraceDepths.length) {
+                this.templateBraceDepths = [];
+                this.reportError(DiagnosticCode.UnterminatedTemplateLiteral, "Unterminated template literal.", this.pos, this.pos);
+            }
             token.kind = SyntaxKind.EndOfFileToken;
             return token;
         }
@@ -57,12 +70,69 @@ class Lexer {
                 this.scanStringLiteral(token);
                 break;
 
+            case CharCodes.Backtick:
+                this.scanTemplateLiteral(token, true);
+                break;
+
             case CharCodes.Equals:
+                if (this.source.charCodeAt(this.pos + 1) === CharCodes.Equals) {
+                    this.pos += 2;
+                    token.kind = SyntaxKind.EqualsEqualsToken;
+                    token.text = "==";
+                    break;
+                }
                 this.pos++;
                 token.kind = SyntaxKind.EqualsToken;
                 token.text = "=";
                 break;
 
+            case CharCodes.Exclamation:
+                // The logical negation is the keyword 'not', so '!' can only be used in '!='.
+                if (this.source.charCodeAt(this.pos + 1) === CharCodes.Equals) {
+                    this.pos += 2;
+                    token.kind = SyntaxKind.ExclamationEqualsToken;
+                    token.text = "!=";
+                    break;
+                }
+                this.scanBadToken(token);
+                break;
+
+            case CharCodes.LessThan:
+                if (this.source.charCodeAt(this.pos + 1) === CharCodes.Equals) {
+                    this.pos += 2;
+                    token.kind = SyntaxKind.LessThanEqualsToken;
+                    token.text = "<=";
+                    break;
+                }
+                this.pos++;
+                token.kind = SyntaxKind.LessThanToken;
+                token.text = "<";
+                break;
+
+            case CharCodes.GreaterThan:
+                if (this.source.charCodeAt(this.pos + 1) === CharCodes.Equals) {
+                    this.pos += 2;
+                    token.kind = SyntaxKind.GreaterThanEqualsToken;
+                    token.text = ">=";
+                    break;
+                }
+                this.pos++;
+                token.kind = SyntaxKind.GreaterThanToken;
+                token.text = ">";
+                break;
+
+            case CharCodes.Percent:
+                if (this.source.charCodeAt(this.pos + 1) === CharCodes.Equals) {
+                    this.pos += 2;
+                    token.kind = SyntaxKind.PercentEqualsToken;
+                    token.text = "%=";
+                    break;
+                }
+                this.pos++;
+                token.kind = SyntaxKind.PercentToken;
+                token.text = "%";
+                break;
+
             case CharCodes.Semicolon:
                 this.pos++;
                 token.kind = SyntaxKind.SemicolonToken;
@@ -70,29 +140,79 @@ class Lexer {
                 break;
 
             case CharCodes.Plus:
+                if (this.source.charCodeAt(this.pos + 1) === CharCodes.Equals) {
+                    this.pos += 2;
+                    token.kind = SyntaxKind.PlusEqualsToken;
+                    token.text = "+=";
+                    break;
+                }
                 this.pos++;
                 token.kind = SyntaxKind.PlusToken;
                 token.text = "+";
                 break;
 
             case CharCodes.Minus:
+                if (this.source.charCodeAt(this.pos + 1) === CharCodes.Equals) {
+                    this.pos += 2;
+                    token.kind = SyntaxKind.MinusEqualsToken;
+                    token.text = "-=";
+                    break;
+                }
                 this.pos++;
                 token.kind = SyntaxKind.MinusToken;
                 token.text = "-";
                 break;
 
             case CharCodes.Asterisk:
+                if (this.source.charCodeAt(this.pos + 1) === CharCodes.Asterisk) {
+                    if (this.source.charCodeAt(this.pos + 2) === CharCodes.Equals) {
+                        this.pos += 3;
+                        token.kind = SyntaxKind.AsteriskAsteriskEqualsToken;
+                        token.text = "**=";
+                        break;
+                    }
+                    this.pos += 2;
+                    token.kind = SyntaxKind.AsteriskAsteriskToken;
+                    token.text = "**";
+                    break;
+                }
+                if (this.source.charCodeAt(this.pos + 1) === CharCodes.Equals) {
+                    this.pos += 2;
+                    token.kind = SyntaxKind.AsteriskEqualsToken;
+                    token.text = "*=";
+                    break;
+                }
                 this.pos++;
                 token.kind = SyntaxKind.AsteriskToken;
                 token.text = "*";
                 break;
 
             case CharCodes.Slash:
+                if (this.source.charCodeAt(this.pos + 1) === CharCodes.Slash) {
+                    this.scanSingleLineCommentTrivia(token);
+                    break;
+                }
+                if (this.source.charCodeAt(this.pos + 1) === CharCodes.Asterisk) {
+                    this.scanMultiLineCommentTrivia(token);
+                    break;
+                }
+                if (this.source.charCodeAt(this.pos + 1) === CharCodes.Equals) {
+                    this.pos += 2;
+                    token.kind = SyntaxKind.SlashEqualsToken;
+                    token.text = "/=";
+                    break;
+                }
                 this.pos++;
                 token.kind = SyntaxKind.SlashToken;
                 token.text = "/";
                 break;
 
+            case CharCodes.Comma:
+                this.pos++;
+                token.kind = SyntaxKind.CommaToken;
+                token.text = ",";
+                break;
+
             case CharCodes.Bar:
                 this.pos++;
                 token.kind = SyntaxKind.VerticalBar;
@@ -111,96 +231,52 @@ class Lexer {
                 token.text = ")";
                 break;
 
+            case CharCodes.OpenBracket:
+                this.pos++;
+                token.kind = SyntaxKind.OpenBracketToken;
+                token.text = "[";
+                break;
+
+            case CharCodes.CloseBracket:
+                this.pos++;
+                token.kind = SyntaxKind.CloseBracketToken;
+                token.text = "]";
+                break;
+
+            case CharCodes.Dot:
+                this.pos++;
+                token.kind = SyntaxKind.DotToken;
+                token.text = ".";
+                break;
+
+            case CharCodes.Colon:
+                this.pos++;
+                token.kind = SyntaxKind.ColonToken;
+                token.text = ":";
+                break;
+
             case CharCodes.OpenBrace:
                 this.pos++;
                 token.kind = SyntaxKind.OpenBraceToken;
                 token.text = "{";
+                // Count the nested braces within a template substitution ${ ... }
+                this.templateBraceDepths.length && this.templateBraceDepths[this.templateBraceDepths.length - 1]++;
                 break;
 
             case CharCodes.CloseBrace:
+                // This brace closes a template substitution ${ ... }, so the template continues.
+                if (this.templateBraceDepths.length) {
+                    if (this.templateBraceDepths[this.templateBraceDepths.length - 1] === 0) {
+                        this.scanTemplateLiteral(token, false);
+                        break;
+                    }
+                    this.templateBraceDepths[this.templateBraceDepths.length - 1]--;
+                }
                 this.pos++;
                 token.kind = SyntaxKind.CloseBraceToken;
                 token.text = "}";
                 break;
 
-            case CharCodes.a:
-            case CharCodes.b:
-            case CharCodes.c:
-            case CharCodes.d:
-            case CharCodes.e:
-            case CharCodes.f:
-            case CharCodes.g:
-            case CharCodes.h:
-            case CharCodes.i:
-            case CharCodes.j:
-            case CharCodes.k:
-            case CharCodes.l:
-            case CharCodes.m:
-            case CharCodes.n:
-            case CharCodes.o:
-            case CharCodes.p:
-            case CharCodes.q:
-            case CharCodes.r:
-            case CharCodes.s:
-            case CharCodes.t:
-            case CharCodes.u:
-            case CharCodes.v:
-            case CharCodes.w:
-            case CharCodes.x:
-            case CharCodes.y:
-            case CharCodes.z:
-
-            case CharCodes.á:
-            case CharCodes.é:
-            case CharCodes.í:
-            case CharCodes.ó:
-            case CharCodes.ö:
-            case CharCodes.ő:
-            case CharCodes.ú:
-            case CharCodes.ü:
-            case CharCodes.ű:
-
-            case CharCodes.A:
-            case CharCodes.B:
-            case CharCodes.C:
-            case CharCodes.D:
-            case CharCodes.E:
-            case CharCodes.F:
-            case CharCodes.G:
-            case CharCodes.H:
-            case CharCodes.I:
-            case CharCodes.J:
-            case CharCodes.K:
-            case CharCodes.L:
-            case CharCodes.M:
-            case CharCodes.N:
-            case CharCodes.O:
-            case CharCodes.P:
-            case CharCodes.Q:
-            case CharCodes.R:
-            case CharCodes.S:
-            case CharCodes.T:
-            case CharCodes.U:
-            case CharCodes.V:
-            case CharCodes.W:
-            case CharCodes.X:
-            case CharCodes.Y:
-            case CharCodes.Z:
-
-            case CharCodes.Á:
-            case CharCodes.É:
-            case CharCodes.Í:
-            case CharCodes.Ó:
-            case CharCodes.Ö:
-            case CharCodes.Ő:
-            case CharCodes.Ú:
-            case CharCodes.Ü:
-            case CharCodes.Ű:
-
-            case CharCodes._:
-                this.scanIdentifierOrKeyword(token);
-                break;
-
             case CharCodes._0:
             case CharCodes._1:
             case CharCodes._2:
@@ -215,10 +291,18 @@ class Lexer {
                 break;
 
             default:
-                this.pos++;
+                // Identifiers can contain the letters of any human language,
+                // so we do not list the allowed characters but ask the Unicode database.
+                if (StrUtils.isIdentifierPart(this.source.codePointAt(this.pos))) {
+                    this.scanIdentifierOrKeyword(token);
+                    break;
+                }
+                this.scanBadToken(token);
                 break;
         }
 
+        token.end = this.pos;
+        this.advanceLines(token.start, token.end);
         return token;
     }
 
@@ -227,6 +311,84 @@ class Lexer {
      */
     reset() {
         this.pos = 0;
+        this.line = 1;
+        this.lineStartPos = 0;
+        this.templateBraceDepths = [];
+        this.diagnostics = new DiagnosticBag();
+    }
+
+    /**
+     * Calls the specified function and then restores the state of the lexer,
+     * so the function can scan the upcoming tokens without consuming them.
+     * @param   {Function} callback
+     * @returns {*} The result of the callback.
+     */
+    lookAhead(callback) {
+        const pos = this.pos;
+        const line = this.line;
+        const lineStartPos = this.lineStartPos;
+        const templateBraceDepths = this.templateBraceDepths.slice();
+        const diagnosticCount = this.diagnostics.length;
+        try {
+            return callback();
+        } finally {
+            this.pos = pos;
+            this.line = line;
+            this.lineStartPos = lineStartPos;
+            this.templateBraceDepths = templateBraceDepths;
+            this.diagnostics.truncate(diagnosticCount);
+        }
+    }
+
+    /**
+     * Reports a lexical error. The lexer never stops at the first error;
+     * all the problems are collected into the diagnostic bag.
+     * @param  {DiagnosticCode} code
+     * @param  {string}         message
+     * @param  {number}         start   Position of the first invalid character.
+     * @param  {number}         [end]   Position after the last invalid character.
+     */
+    reportError(code, message, start, end) {
+        const location = this.getLocation(start);
+        const span = new TextSpan(start, end !== void 0 ? end : Math.min(start + 1, this.source.length), location.line, location.column);
+        this.diagnostics.reportError(code, message, span);
+    }
+
+    /**
+     * Gets the line and column numbers of the specified position
+     * which must be within the current token.
+     * @param   {number} pos
+     * @returns {{start: number, line: number, column: number}}
+     */
+    getLocation(pos) {
+        let line = this.line;
+        let lineStartPos = this.lineStartPos;
+        for (let i = lineStartPos; i < pos; i++) {
+            const ch = this.source.charCodeAt(i);
+            if (!StrUtils.isLineBreak(ch)) continue;
+            if (ch === CharCodes.CarriageReturn && this.source.charCodeAt(i + 1) === CharCodes.LineFeed) i++;
+            line++;
+            lineStartPos = i + 1;
+        }
+        return { start: pos, line: line, column: pos - lineStartPos + 1 };
+    }
+
+    /**
+     * Counts the line breaks within the specified range of the source text
+     * to keep track of the line and column numbers of the next token.
+     * @param  {number} start
+     * @param  {number} end
+     */
+    advanceLines(start, end) {
+        for (let pos = start; pos < end; pos++) {
+            const ch = this.source.charCodeAt(pos);
+            if (!StrUtils.isLineBreak(ch)) continue;
+            // CR LF is a single line break.
+            if (ch === CharCodes.CarriageReturn && pos + 1 < end
+                && this.source.charCodeAt(pos + 1) === CharCodes.LineFeed) pos++;
+            this.line++;
+            this.lineStartPos = pos + 1;
+        }
     }
 
     /**
@@ -251,34 +413,278 @@ class Lexer {
     }
 
     /**
-     * Scans all of the digits until it runs out.
+     * Scans a character that cannot start any token of the language.
+     * @param  {SyntaxToken} token
+     */
+    scanBadToken(token) {
+        const ch = this.source.codePointAt(this.pos);
+        const tokenStartPos = this.pos;
+        this.pos += ch > 0xFFFF ? 2 : 1;
+        token.kind = SyntaxKind.BadToken;
+        token.text = this.source.substring(tokenStartPos, this.pos);
+        this.reportError(DiagnosticCode.InvalidCharacter, `Invalid character '${token.text}'.`, tokenStartPos, this.pos);
+    }
+
+    /**
+     * Scans a // comment until the end of the line.
+     * @param  {SyntaxToken} token
+     */
+    scanSingleLineCommentTrivia(token) {
+        const tokenStartPos = this.pos;
+        this.pos += 2;
+        while (this.pos <= this.lastPos && !StrUtils.isLineBreak(this.source.charCodeAt(this.pos))) this.pos++;
+        token.kind = SyntaxKind.SingleLineCommentTrivia;
+        token.text = this.source.substring(tokenStartPos, this.pos);
+    }
+
+    /**
+     * Scans a multi-line block comment which can contain other nested block comments.
+     * @param  {SyntaxToken} token
+     */
+    scanMultiLineCommentTrivia(token) {
+        const tokenStartPos = this.pos;
+        let depth = 0;
+        do {
+            const ch = this.source.charCodeAt(this.pos);
+            const nextCh = this.source.charCodeAt(this.pos + 1);
+            if (ch === CharCodes.Slash && nextCh === CharCodes.Asterisk) {
+                this.pos += 2;
+                depth++;
+            } else if (ch === CharCodes.Asterisk && nextCh === CharCodes.Slash) {
+                this.pos += 2;
+                depth--;
+            } else {
+                this.pos++;
+            }
+        } while (depth > 0 && this.pos <= this.lastPos);
+        if (depth > 0) this.reportError(DiagnosticCode.UnterminatedComment, "Unterminated comment.", tokenStartPos, this.pos);
+        token.kind = SyntaxKind.MultiLineCommentTrivia;
+        token.text = this.source.substring(tokenStartPos, this.pos);
+    }
+
+    /**
+     * Scans a numeric literal, which can be one of the followings:
+     *    - decimal with an optional fraction and exponent: 123, 123.45, 1.5e-3
+     *    - hexadecimal, binary and octal: 0x1F, 0b1010, 0o17
+     * Digits can be separated by underscores (e.g. 1_000_000).
      * @param  {SyntaxToken} token
      */
     scanNumericLiteral(token) {
-        const tokenStartPos = this.pos++;
-        while (this.pos <= this.lastPos && StrUtils.isDigit(this.source.charCodeAt(this.pos))) this.pos++;
-        if (this.source.charCodeAt(this.pos) === CharCodes.Dot) {
-            this.pos++;
-            while (this.pos <= this.lastPos && StrUtils.isDigit(this.source.charCodeAt(this.pos))) this.pos++;
+        const tokenStartPos = this.pos;
+        const prefixChar = this.source.charCodeAt(this.pos + 1) | 0x20;  // lower case
+        let value;
+
+        if (this.source.charCodeAt(this.pos) === CharCodes._0
+            && (prefixChar === CharCodes.x || prefixChar === CharCodes.b || prefixChar === CharCodes.o)) {
+            this.pos += 2;
+            const radix = prefixChar === CharCodes.x ? 16 : prefixChar === CharCodes.b ? 2 : 8;
+            const digits = this.scanDigits(radix);
+            if (!digits) this.reportError(DiagnosticCode.DigitExpected, `${this.getRadixName(radix)} digit expected.`, this.pos);
+            value = digits ? parseInt(digits, radix) : 0;
+        } else {
+            let text = this.scanDigits(10);
+            if (this.source.charCodeAt(this.pos) === CharCodes.Dot) {
+                this.pos++;
+                const fraction = this.scanDigits(10);
+                if (!fraction) this.reportError(DiagnosticCode.DigitExpected, "Digit expected after the decimal point.", this.pos);
+                text += "." + (fraction || "0");
+            }
+            if ((this.source.charCodeAt(this.pos) | 0x20) === CharCodes.e) {
+                this.pos++;
+                let sign = "";
+                if (this.source.charCodeAt(this.pos) === CharCodes.Plus
+                    || this.source.charCodeAt(this.pos) === CharCodes.Minus) {
+                    sign = this.source.charAt(this.pos++);
+                }
+                const exponent = this.scanDigits(10);
+                if (!exponent) this.reportError(DiagnosticCode.DigitExpected, "Digit expected in the exponent.", this.pos);
+                text += "e" + sign + (exponent || "0");
+            }
+            value = +text;
         }
+
+        // Letters or digits cannot follow a numeric literal immediately (e.g. 123abc or 0b102).
+        // The whole word is turned into a bad token, so it does not produce another identifier token.
+        if (this.pos <= this.lastPos && StrUtils.isIdentifierPart(this.source.codePointAt(this.pos))) {
+            const invalidCharPos = this.pos;
+            while (this.pos <= this.lastPos && StrUtils.isIdentifierPart(this.source.codePointAt(this.pos))) {
+                this.pos += this.source.codePointAt(this.pos) > 0xFFFF ? 2 : 1;
+            }
+            this.reportError(
+                DiagnosticCode.InvalidNumericLiteral,
+                `Invalid character '${String.fromCodePoint(this.source.codePointAt(invalidCharPos))}' in numeric literal.`,
+                invalidCharPos, this.pos);
+            token.kind = SyntaxKind.BadToken;
+            token.text = this.source.substring(tokenStartPos, this.pos);
+            return;
+        }
+
         token.kind = SyntaxKind.NumericLiteralToken;
         token.text = this.source.substring(tokenStartPos, this.pos);
-        token.value = +token.text;
+        token.value = value;
+    }
+
+    /**
+     * Scans all of the digits of the specified radix (numeral system) until it runs out
+     * and returns them without the underscore separators.
+     * @param   {number} radix 2, 8, 10 or 16
+     * @returns {string}
+     */
+    scanDigits(radix) {
+        const isDigit = ch => radix === 16 ? StrUtils.isHexDigit(ch) : ch >= CharCodes._0 && ch < CharCodes._0 + radix;
+        let digits = "";
+        while (this.pos <= this.lastPos) {
+            const ch = this.source.charCodeAt(this.pos);
+            if (isDigit(ch)) {
+                digits += this.source.charAt(this.pos++);
+                continue;
+            }
+            if (ch === CharCodes._) {
+                // A separator must be placed between two digits.
+                if (!digits || !isDigit(this.source.charCodeAt(this.pos + 1))) {
+                    this.reportError(DiagnosticCode.InvalidNumericSeparator, "Numeric separators are only allowed between digits.", this.pos);
+                }
+                this.pos++;
+                continue;
+            }
+            break;
+        }
+        return digits;
+    }
+
+    /**
+     * Gets the name of the specified radix used in error messages.
+     * @param   {number} radix
+     * @returns {string}
+     */
+    getRadixName(radix) {
+        return { 2: "Binary", 8: "Octal", 10: "Decimal", 16: "Hexadecimal" }[radix];
     }
 
     /**
-     * Scans all of the string literal characters until it runs out.
+     * Scans all of the string literal characters until the closing quote.
+     * Escape sequences are cooked into the value of the token. A string cannot span lines,
+     * so an unterminated string ends at the end of its line and the next line is lexed as usual.
      * @param  {SyntaxToken} token
      */
     scanStringLiteral(token) {
         const openQuoteChar = this.source.charCodeAt(this.pos);
         const tokenStartPos = this.pos++;
-        while (this.pos <= this.lastPos && this.source.charCodeAt(this.pos) !== openQuoteChar) this.pos++;
-        if (this.pos > this.lastPos) throw new SyntaxError("Unterminated string literal.");
-        this.pos++;
+        let value = "";
+        let chunkStartPos = this.pos;
+        while (this.pos <= this.lastPos) {
+            const ch = this.source.charCodeAt(this.pos);
+            if (ch === openQuoteChar || StrUtils.isLineBreak(ch)) break;
+            if (ch === CharCodes.Backslash) {
+                value += this.source.substring(chunkStartPos, this.pos);
+                value += this.scanEscapeSequence();
+                chunkStartPos = this.pos;
+                continue;
+            }
+            this.pos += this.source.codePointAt(this.pos) > 0xFFFF ? 2 : 1;
+        }
+        value += this.source.substring(chunkStartPos, this.pos);
+        if (this.pos > this.lastPos || this.source.charCodeAt(this.pos) !== openQuoteChar) {
+            this.reportError(DiagnosticCode.UnterminatedStringLiteral, "Unterminated string literal.", this.pos, this.pos);
+        } else {
+            this.pos++;
+        }
         token.kind = SyntaxKind.StringLiteralToken;
         token.text = this.source.substring(tokenStartPos, this.pos);
-        token.value = this.source.substring(tokenStartPos + 1, this.pos - 1);
+        token.value = value;
+    }
+
+    /**
+     * Scans a template literal starting with a backtick (`) or with the closing brace
+     * of a substitution (}) until the closing backtick or the next substitution (${).
+     * @param  {SyntaxToken} token
+     * @param  {boolean}     isHead True if the template starts at the current position.
+     */
+    scanTemplateLiteral(token, isHead) {
+        const tokenStartPos = this.pos++;
+        let value = "";
+        let chunkStartPos = this.pos;
+        while (this.pos <= this.lastPos) {
+            const ch = this.source.charCodeAt(this.pos);
+            if (ch === CharCodes.Backtick) break;
+            if (ch === CharCodes.$ && this.source.charCodeAt(this.pos + 1) === CharCodes.OpenBrace) break;
+            if (ch === CharCodes.Backslash) {
+                value += this.source.substring(chunkStartPos, this.pos);
+                value += this.scanEscapeSequence(true);
+                chunkStartPos = this.pos;
+                continue;
+            }
+            this.pos += this.source.codePointAt(this.pos) > 0xFFFF ? 2 : 1;
+        }
+        value += this.source.substring(chunkStartPos, this.pos);
+        if (this.pos > this.lastPos) {
+            // Close the template at the end of the source text to keep the token stream complete.
+            this.reportError(DiagnosticCode.UnterminatedTemplateLiteral, "Unterminated template literal.", tokenStartPos, this.pos);
+            isHead || this.templateBraceDepths.pop();
+            token.kind = isHead ? SyntaxKind.NoSubstitutionTemplateToken : SyntaxKind.TemplateTailToken;
+        } else if (this.source.charCodeAt(this.pos) === CharCodes.Backtick) {
+            this.pos++;
+            isHead || this.templateBraceDepths.pop();
+            token.kind = isHead ? SyntaxKind.NoSubstitutionTemplateToken : SyntaxKind.TemplateTailToken;
+        } else {
+            this.pos += 2;
+            isHead && this.templateBraceDepths.push(0);
+            token.kind = isHead ? SyntaxKind.TemplateHeadToken : SyntaxKind.TemplateMiddleToken;
+        }
+        token.text = this.source.substring(tokenStartPos, this.pos);
+        token.value = value;
+    }
+
+    /**
+     * Scans an escape sequence starting with a backslash and returns the character(s) it stands for.
+     * Supported escape sequences: \n \t \\ \" \' and \u{X...} (a Unicode code point in hex).
+     * Template literals can also escape the characters ` and $.
+     * @param   {boolean} [isTemplate]
+     * @returns {string}
+     */
+    scanEscapeSequence(isTemplate) {
+        const escapeStartPos = this.pos++;
+        const ch = this.source.charCodeAt(this.pos);
+        this.pos <= this.lastPos && (this.pos += this.source.codePointAt(this.pos) > 0xFFFF ? 2 : 1);
+        switch (ch) {
+            case CharCodes.n:
+                return "\n";
+            case CharCodes.t:
+                return "\t";
+            case CharCodes.Backslash:
+            case CharCodes.DoubleQuote:
+            case CharCodes.SingleQuote:
+                return String.fromCharCode(ch);
+            case CharCodes.Backtick:
+            case CharCodes.$:
+                if (isTemplate) return String.fromCharCode(ch);
+                break;
+            case CharCodes.u: {
+                if (this.source.charCodeAt(this.pos) === CharCodes.OpenBrace) {
+                    const digitsStartPos = ++this.pos;
+                    while (this.pos <= this.lastPos && StrUtils.isHexDigit(this.source.charCodeAt(this.pos))) this.pos++;
+                    const digits = this.source.substring(digitsStartPos, this.pos);
+                    if (this.source.charCodeAt(this.pos) === CharCodes.CloseBrace && digits.length > 0) {
+                        this.pos++;
+                        const codePoint = parseInt(digits, 16);
+                        if (codePoint <= 0x10FFFF) {
+                            return String.fromCodePoint(codePoint);
+                        }
+                    }
+                }
+                this.reportError(
+                    DiagnosticCode.InvalidEscapeSequence,
+                    "Invalid Unicode escape sequence. Use \\u{X} where X is a hexadecimal code point between 0 and 10FFFF.",
+                    escapeStartPos, this.pos);
+                return "";
+            }
+        }
+        // Keep the escaped character(s) as they are, e.g. \q means q.
+        this.reportError(
+            DiagnosticCode.InvalidEscapeSequence,
+            `Invalid escape sequence '${this.source.substring(escapeStartPos, this.pos)}'.`,
+            escapeStartPos, this.pos);
+        return this.source.substring(escapeStartPos + 1, this.pos);
     }
 
     /**
@@ -286,14 +692,26 @@ class Lexer {
      * @param  {SyntaxToken} token
      */
     scanIdentifierOrKeyword(token) {
-        const firstChar = this.source.charCodeAt(this.pos);
-        const tokenStartPos = this.pos++;
-        while (this.pos <= this.lastPos && StrUtils.isIdentifierPart(this.source.charCodeAt(this.pos))) this.pos++;
-        token.text = token.value = this.source.substring(tokenStartPos, this.pos);
-        token.kind = KeywordSyntaxKindMap[token.text];
+        const firstChar = this.source.codePointAt(this.pos);
+        const tokenStartPos = this.pos;
+        this.pos += firstChar > 0xFFFF ? 2 : 1;
+        while (this.pos <= this.lastPos) {
+            const ch = this.source.codePointAt(this.pos);
+            if (!StrUtils.isIdentifierPart(ch)) break;
+            this.pos += ch > 0xFFFF ? 2 : 1;
+        }
+        token.text = this.source.substring(tokenStartPos, this.pos);
+
+        // Composed and decomposed forms of the same letter (e.g. "á" and "a" + U+0301)
+        // must refer to the same variable, so the value is normalized.
+        token.value = token.text.normalize("NFC");
+        token.kind = KeywordSyntaxKindMap.hasOwnProperty(token.value) && KeywordSyntaxKindMap[token.value];
         if (!token.kind) {
             if (!StrUtils.isIdentifierStartPart(firstChar)) {
-                throw new SyntaxError(`Invalid identifier: '${token.text}'.`);
+                this.reportError(
+                    DiagnosticCode.InvalidIdentifier,
+                    `Invalid identifier: '${token.text}'. Identifiers must start with a letter.`,
+                    tokenStartPos, this.pos);
             }
             token.kind = SyntaxKind.IdentifierToken;
         }
@@ -0,0 +1,262 @@
+// Sample Programming Language
+// Copyright (c) János Janka - All rights reserved.
+
+/// <reference path="types.js" />
+/// <reference path="diagnostics.js" />
+/// <reference path="lexer.js" />
+/// <reference path="binder.js" />
+
+"use strict";
+
+/** The severities a lint rule can be set to. A rule set to "off" is not checked at all. */
+const LintSeverities = ["error", "warning", "off"];
+
+/**
+ * Finds the lint pragmas in the comments, e.g. '// lint magic-numbers: warning, naming-style: off'.
+ * A pragma sets the severity of the rules for the whole program wherever it is written.
+ */
+const LintPragmaPattern = /^(?:\/\/|\/\*)\s*lint\s+([^*]*)/;
+
+/**
+ * Returns true if the variable is read somewhere: only the target of a simple assignment (x = 1) does not read it.
+ * @param   {SyntaxSymbol} symbol
+ * @returns {boolean}
+ */
+function isSymbolRead(symbol) {
+    return symbol.references.some(reference =>
+        !reference.isParentKind(SyntaxKind.AssignmentStatement) ||
+        reference.parent.target !== reference ||
+        reference.parent.operator.kind !== SyntaxKind.EqualsToken);
+}
+
+/**
+ * Gets the unused variables and constants with their declarations.
+ * @param   {LintContext} context
+ * @returns {Array} Pairs of the symbol and its declaring statement.
+ */
+function getUnusedVariables(context) {
+    const unused = [];
+    context.binder.symbols.forEach((symbol, identifier) => {
+        if (symbol.declaration === identifier &&
+            (symbol.kind === SymbolKind.Variable || symbol.kind === SymbolKind.Constant) &&
+            !isSymbolRead(symbol)) {
+            unused.push([symbol, identifier.parent]);
+        }
+    });
+    return unused;
+}
+
+/**
+ * Converts a name to camelCase (e.g. 'my_first_name' or 'MyName' to 'myFirstName' or 'myName').
+ * @param   {string} name
+ * @returns {string}
+ */
+function toCamelCase(name) {
+    const words = name.split("_").filter(word => word);
+    return words
+        .map((word, index) => index === 0
+            ? word[0].toLowerCase() + word.slice(1)
+            : word[0].toUpperCase() + word.slice(1).toLowerCase())
+        .join("") || name;
+}
+
+/**
+ * The rules of the linter by their names. Every rule has a diagnostic code, a default severity,
+ * a short description and a check function that reports the problems through the lint context.
+ */
+const LintRules = {
+    "unused-variable": {
+        code: DiagnosticCode.UnusedVariable,
+        severity: "warning",
+        description: "Variables and constants that are declared but never read.",
+        check: context => getUnusedVariables(context)
+            .filter(([symbol, declaration]) => !declaration.expression || declaration.expression.kind !== SyntaxKind.InvocationExpression)
+            .forEach(([symbol]) => context.report(symbol.declaration,
+                `The ${symbol.kindText} '${symbol.name}' is declared but its value is never read.`))
+    },
+
+    "unused-result": {
+        code: DiagnosticCode.UnusedResult,
+        severity: "warning",
+        description: "Results of commands and functions that are stored but never read.",
+        check: context => getUnusedVariables(context)
+            .filter(([symbol, declaration]) => declaration.expression && declaration.expression.kind === SyntaxKind.InvocationExpression)
+            .forEach(([symbol, declaration]) => context.report(symbol.declaration,
+                `The result of '${declaration.expression.identifier.token.value}' is stored in '${symbol.name}' but never read. ` +
+                "The command can be called without storing its result."))
+    },
+
+    "empty-block": {
+        code: DiagnosticCode.EmptyBlock,
+        severity: "warning",
+        description: "Blocks that contain no statements.",
+        check: context => context.forEachNode(SyntaxKind.Block, block =>
+            block.children.length || context.report(block, "The block is empty."))
+    },
+
+    "useless-block": {
+        code: DiagnosticCode.UselessBlock,
+        severity: "warning",
+        description: "Blocks nested in another block that do not declare any names.",
+        check: context => context.forEachNode(SyntaxKind.Block, block => {
+            const hasDeclarations = block.children.some(child => child.kind === SyntaxKind.VarDeclStatement);
+            if (block.isParentKind(SyntaxKind.Block) && block.children.length && !hasDeclarations) {
+                context.report(block, "The block declares no names, so its braces can be removed.");
+            }
+        })
+    },
+
+    "naming-style": {
+        code: DiagnosticCode.NamingStyle,
+        severity: "warning",
+        description: "Names that are not written in camelCase (constants may be written in UPPER_CASE as well).",
+        check: context => context.binder.symbols.forEach((symbol, identifier) => {
+            const isCamelCase = /^\p{Ll}[\p{L}\p{N}]*$/u.test(symbol.name);
+            const isUpperCase = /^\p{Lu}[\p{Lu}\p{N}]*(?:_[\p{Lu}\p{N}]+)*$/u.test(symbol.name);
+            if (symbol.declaration === identifier && !isCamelCase && !(isUpperCase && symbol.kind === SymbolKind.Constant)) {
+                context.report(identifier, `The name '${symbol.name}' should be written in camelCase, e.g. '${toCamelCase(symbol.name)}'.`);
+            }
+        })
+    },
+
+    "magic-numbers": {
+        code: DiagnosticCode.MagicNumber,
+        severity: "off",
+        description: "Numbers other than 0 and 1 that are not the values of constants.",
+        check: context => context.forEachNode(SyntaxKind.NumericLiteralExpression, literal => {
+            let statement = literal.parent;
+            while (statement && !(statement instanceof Statement)) statement = statement.parent;
+            const isConstant = statement && statement.kind === SyntaxKind.VarDeclStatement && statement.isConst;
+            if (!isConstant && literal.token.value !== 0 && literal.token.value !== 1) {
+                context.report(literal, `The meaning of the number ${literal.token.text} is not clear. Give it a name by declaring a constant.`);
+            }
+        })
+    }
+};
+
+/** Passes the program and the results of the binder to the rules and collects the problems they report. */
+class LintContext {
+    /**
+     * @param {Linter}        linter
+     * @param {ProgramSyntax} program
+     * @param {string}        ruleName The name of the rule being checked.
+     */
+    constructor(linter, program, ruleName) {
+        this.linter = linter;
+        this.program = program;
+        this.binder = linter.binder;
+        this.ruleName = ruleName;
+    }
+
+    /**
+     * Calls the callback for each node of the specified kind using the visitor of the syntax tree.
+     * @param {SyntaxKind} kind
+     * @param {Function}   callback
+     */
+    forEachNode(kind, callback) {
+        this.program.accept({ visit: node => node.kind === kind && callback(node) });
+    }
+
+    /**
+     * Reports a problem found by the rule. An empty block has no tokens (the braces are not stored),
+     * so the problem is reported at the nearest enclosing node that has a position.
+     * @param {SyntaxNode} node
+     * @param {string}     message
+     */
+    report(node, message) {
+        while (node.start === void 0 && node.parent) node = node.parent;
+        const rule = LintRules[this.ruleName];
+        this.linter.report(rule.code, this.linter.severities[this.ruleName], `${message} (${this.ruleName})`, node);
+    }
+}
+
+/**
+ * The linter checks the style of a program that is correct otherwise: the names and values that are never used,
+ * the blocks that have no purpose, the naming style and so on. The severity of every rule can be set
+ * by the compiler options and by the lint pragmas written in the comments of the program.
+ */
+class Linter {
+    /**
+     * Creates a new linter.
+     * @param {Binder} binder  The binder that has already resolved the names of the tree.
+     * @param {Object}        [rules]       The severities of the rules by their names (e.g. { "magic-numbers": "warning" }).
+     * @param {DiagnosticBag} [diagnostics] The bag the problems are reported into.
+     */
+    constructor(binder, rules, diagnostics) {
+        this.binder = binder;
+        this.rules = rules || {};
+        this.severities = {};
+        this.diagnostics = diagnostics || new DiagnosticBag();
+    }
+
+    /**
+     * Checks the specified program with all the rules that are turned on.
+     * @param   {ProgramSyntax} program
+     * @param   {string}        source  The source text of the program that may contain lint pragmas.
+     * @returns {Linter} The linter itself.
+     */
+    lint(program, source) {
+        this.severities = {};
+        Object.keys(LintRules).forEach(name => this.severities[name] = LintRules[name].severity);
+        Object.keys(this.rules).forEach(name => this.configure(name, this.rules[name]));
+        this.readPragmas(source);
+
+        Object.keys(LintRules)
+            .filter(name => this.severities[name] !== "off")
+            .forEach(name => LintRules[name].check(new LintContext(this, program, name)));
+        return this;
+    }
+
+    /**
+     * Records a problem.
+     * @param {DiagnosticCode}        code
+     * @param {string}                severity Either "error" or "warning" (see LintSeverities).
+     * @param {string}                message
+     * @param {SyntaxItem | TextSpan} item     The syntax element or the span of the source text the problem belongs to.
+     */
+    report(code, severity, message, item) {
+        this.diagnostics.report(code, severity === "error" ? DiagnosticSeverity.Error : DiagnosticSeverity.Warning, message, item);
+    }
+
+    /**
+     * Sets the severity of a rule. A mistake is reported like the other problems of the program,
+     * so a wrong compiler option does not stop the compilation either.
+     * @param   {string}     name
+     * @param   {string}     severity
+     * @param   {SyntaxItem} [pragma] The comment that sets the severity or undefined if it is set by the compiler options.
+     */
+    configure(name, severity, pragma) {
+        if (!LintRules.hasOwnProperty(name) || !LintSeverities.includes(severity)) {
+            const message = LintRules.hasOwnProperty(name)
+                ? `The lint rule '${name}' cannot be set to '${severity}'. The severities are: ${LintSeverities.join(", ")}.`
+                : `There is no lint rule named '${name}'. The rules are: ${Object.keys(LintRules).join(", ")}.`;
+
+            // The compiler options are not written in the source text, so their problems have no location.
+            if (pragma) {
+                this.report(DiagnosticCode.InvalidLintPragma, "warning", message, pragma);
+            } else {
+                this.report(DiagnosticCode.InvalidLintOption, "warning", `Invalid compiler option: ${message}`, new TextSpan(0, 0));
+            }
+            return;
+        }
+        this.severities[name] = severity;
+    }
+
+    /**
+     * Reads the lint pragmas from the comments of the source text.
+     * @param {string} source
+     */
+    readPragmas(source) {
+        const lexer = new Lexer(source);
+        for (let token = lexer.next(); token.kind !== SyntaxKind.EndOfFileToken; token = lexer.next()) {
+            const match = (token.kind === SyntaxKind.SingleLineCommentTrivia || token.kind === SyntaxKind.MultiLineCommentTrivia) &&
+                LintPragmaPattern.exec(token.text);
+            if (match) {
+                match[1].split(",").filter(setting => setting.trim()).forEach(setting => {
+                    const [name, severity] = setting.split(":").map(part => part.trim());
+                    this.configure(name, severity, token);
+                });
+            }
+        }
+    }
+}
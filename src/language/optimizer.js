@@ -0,0 +1,266 @@
+// Sample Programming Language
+// Copyright (c) János Janka - All rights reserved.
+
+/// <reference path="types.js" />
+/// <reference path="diagnostics.js" />
+
+"use strict";
+
+/**
+ * Computes the constant result of the binary operators the same way as the emitted JavaScript does.
+ * An operator is folded only if its operands have one of the listed types ("string+" means a string
+ * and a string, a number or a boolean value in any order).
+ */
+const ConstantBinaryOperators = {
+    [SyntaxKind.AddExpression]: { operands: ["number", "string+"], compute: (a, b) => a + b },
+    [SyntaxKind.SubtractExpression]: { operands: ["number"], compute: (a, b) => a - b },
+    [SyntaxKind.MultiplyExpression]: { operands: ["number"], compute: (a, b) => a * b },
+    [SyntaxKind.DivideExpression]: { operands: ["number"], compute: (a, b) => a / b },
+    [SyntaxKind.ModuloExpression]: { operands: ["number"], compute: (a, b) => a % b },
+    [SyntaxKind.ExponentExpression]: { operands: ["number"], compute: (a, b) => a ** b },
+    [SyntaxKind.EqualsExpression]: { operands: ["number", "string", "boolean"], compute: (a, b) => a === b },
+    [SyntaxKind.NotEqualsExpression]: { operands: ["number", "string", "boolean"], compute: (a, b) => a !== b },
+    [SyntaxKind.LessThanExpression]: { operands: ["number", "string"], compute: (a, b) => a < b },
+    [SyntaxKind.LessThanOrEqualExpression]: { operands: ["number", "string"], compute: (a, b) => a <= b },
+    [SyntaxKind.GreaterThanExpression]: { operands: ["number", "string"], compute: (a, b) => a > b },
+    [SyntaxKind.GreaterThanOrEqualExpression]: { operands: ["number", "string"], compute: (a, b) => a >= b },
+    [SyntaxKind.LogicalAndExpression]: { operands: ["boolean"], compute: (a, b) => a && b },
+    [SyntaxKind.LogicalOrExpression]: { operands: ["boolean"], compute: (a, b) => a || b }
+};
+
+/** Computes the constant result of the unary operators for an operand of the listed type. */
+const ConstantUnaryOperators = {
+    [SyntaxKind.UnaryPlusExpression]: { operand: "number", compute: a => +a },
+    [SyntaxKind.UnaryMinusExpression]: { operand: "number", compute: a => -a },
+    [SyntaxKind.LogicalNotExpression]: { operand: "boolean", compute: a => !a }
+};
+
+/**
+ * The optimizer simplifies the expressions of a syntax tree before it is emitted. It computes
+ * the operations whose operands are all constants (e.g. '2 * (3 + 4)' becomes '14' and
+ * '"Hello" + " " + "world"' becomes '"Hello world"') and drops the parentheses, since the emitter
+ * puts back only the ones required by the precedence of the JavaScript operators.
+ * The optimizer works on a copy, so the original tree can still be displayed as it was written.
+ */
+class Optimizer {
+    /**
+     * Creates a new optimizer.
+     * @param {DiagnosticBag} [diagnostics] The bag the warnings are reported into.
+     */
+    constructor(diagnostics) {
+        this.diagnostics = diagnostics || new DiagnosticBag();
+    }
+
+    /**
+     * Creates an optimized copy of the specified program.
+     * @param   {ProgramSyntax} program
+     * @returns {ProgramSyntax}
+     */
+    optimize(program) {
+        return this.optimizeItem(program);
+    }
+
+    /**
+     * Records a problem found during the optimization.
+     * @param {DiagnosticCode} code
+     * @param {string}         message
+     * @param {SyntaxNode}     node    The syntax element the problem belongs to.
+     */
+    report(code, message, node) {
+        this.diagnostics.reportWarning(code, message, node);
+    }
+
+    /**
+     * Creates a shallow copy of a token or a node having the specified children.
+     * The copy keeps the class and the properties of the original, except its parent.
+     * @param   {SyntaxItem}   item
+     * @param   {SyntaxItem[]} [children]
+     * @returns {SyntaxItem}
+     */
+    copy(item, children) {
+        const copy = Object.assign(Object.create(Object.getPrototypeOf(item)), item);
+        copy.parent = void 0;
+        if (children) {
+            copy.children = new SyntaxArray(copy);
+            copy.children.push(...children);
+        }
+        return copy;
+    }
+
+    /**
+     * Creates the optimized copy of a token or a node with its descendants.
+     * @param   {SyntaxItem} item
+     * @returns {SyntaxItem}
+     */
+    optimizeItem(item) {
+        if (item.isToken) {
+            return this.copy(item);
+        }
+        if (item.kind === SyntaxKind.ParenthesizedExpression) {
+            return this.optimizeItem(item.expression);
+        }
+
+        const node = this.copy(item, item.children.map(child => this.optimizeItem(child)));
+        if (node instanceof BinaryExpression) {
+            return this.foldBinaryExpression(node);
+        }
+        if (node instanceof UnaryExpression) {
+            return this.foldUnaryExpression(node);
+        }
+        if (node.kind === SyntaxKind.AssignmentStatement) {
+            const binaryKind = CompoundAssignmentSyntaxKindMap[node.operator.kind];
+            this.checkDivisor(binaryKind, node.expression);
+        }
+        return node;
+    }
+
+    /**
+     * Reports a division (or a remainder) by a constant zero, which gives back Infinity or NaN.
+     * @param   {SyntaxKind} kind    The kind of the binary operation.
+     * @param   {Expression} divisor
+     * @returns {boolean} True if the divisor is a constant zero.
+     */
+    checkDivisor(kind, divisor) {
+        if (kind !== SyntaxKind.DivideExpression && kind !== SyntaxKind.ModuloExpression) {
+            return false;
+        }
+        const constant = this.getConstant(divisor);
+        if (!constant || constant.value !== 0) {
+            return false;
+        }
+        this.report(DiagnosticCode.DivisionByZero,
+            kind === SyntaxKind.DivideExpression
+                ? "Division by zero gives back Infinity (or NaN if the dividend is zero as well)."
+                : "The remainder of a division by zero is always NaN.", divisor);
+        return true;
+    }
+
+    /**
+     * Computes a binary expression if both of its operands are constants.
+     * A concatenation of a non-constant value and strings (x + "a" + "b") is folded to x + "ab".
+     * @param   {BinaryExpression} expression
+     * @returns {Expression}
+     */
+    foldBinaryExpression(expression) {
+        if (this.checkDivisor(expression.kind, expression.right)) {
+            return expression;
+        }
+
+        const operator = ConstantBinaryOperators[expression.kind];
+        const left = this.getConstant(expression.left);
+        const right = this.getConstant(expression.right);
+        if (left && right && this.acceptsOperands(operator.operands, typeof left.value, typeof right.value)) {
+            return this.createConstant(operator.compute(left.value, right.value), expression);
+        }
+
+        const nested = expression.left;
+        const nestedRight = nested.kind === SyntaxKind.AddExpression && this.getConstant(nested.right);
+        if (expression.kind === SyntaxKind.AddExpression && right && typeof right.value === "string" &&
+            nestedRight && typeof nestedRight.value === "string") {
+            const folded = this.createConstant(nestedRight.value + right.value, nested.right);
+            return new BinaryExpression(expression.kind, nested.left, nested.operator, folded);
+        }
+        return expression;
+    }
+
+    /**
+     * Computes a unary expression if its operand is a constant.
+     * @param   {UnaryExpression} expression
+     * @returns {Expression}
+     */
+    foldUnaryExpression(expression) {
+        const operator = ConstantUnaryOperators[expression.kind];
+        const operand = this.getConstant(expression.operand);
+        return operand && typeof operand.value === operator.operand
+            ? this.createConstant(operator.compute(operand.value), expression)
+            : expression;
+    }
+
+    /**
+     * Returns true if the operator can be applied to the specified types of the operands.
+     * @param   {string[]} operands The accepted types of the operator (see ConstantBinaryOperators).
+     * @param   {string}   left
+     * @param   {string}   right
+     * @returns {boolean}
+     */
+    acceptsOperands(operands, left, right) {
+        return operands.some(type => type === "string+"
+            ? left === "string" || right === "string"
+            : left === type && right === type);
+    }
+
+    /**
+     * Gets the value of a constant expression. A negative number is a unary minus applied to a number.
+     * @param   {Expression} expression
+     * @returns {{ value: * }} The value wrapped into an object or undefined if the expression is not a constant.
+     */
+    getConstant(expression) {
+        switch (expression.kind) {
+            case SyntaxKind.NumericLiteralExpression:
+            case SyntaxKind.StringLiteralExpression:
+                return { value: expression.token.value };
+            case SyntaxKind.TrueLiteralExpression:
+                return { value: true };
+            case SyntaxKind.FalseLiteralExpression:
+                return { value: false };
+            case SyntaxKind.UnaryMinusExpression:
+                return expression.operand.kind === SyntaxKind.NumericLiteralExpression
+                    ? { value: -expression.operand.token.value }
+                    : void 0;
+        }
+        return void 0;
+    }
+
+    /**
+     * Creates a literal for a computed value. The synthesized token takes the position of the replaced
+     * expression, so the later diagnostics still point to the source text. A result that cannot be
+     * written as a literal (Infinity, NaN) is not folded.
+     * @param   {*}          value
+     * @param   {Expression} expression The replaced expression.
+     * @returns {Expression}
+     */
+    createConstant(value, expression) {
+        if (typeof value === "number" && !isFinite(value)) {
+            return expression;
+        }
+
+        // JavaScript does not allow a negative literal as the left operand of **, so a negative
+        // number is represented by a unary minus the emitter can put in parentheses.
+        if (typeof value === "number" && (value < 0 || Object.is(value, -0))) {
+            const minusToken = this.createToken(SyntaxKind.MinusToken, "-", void 0, expression);
+            return new UnaryExpression(SyntaxKind.UnaryMinusExpression, this.createConstant(-value, expression), minusToken);
+        }
+
+        switch (typeof value) {
+            case "number":
+                return new LiteralExpressionSyntax(SyntaxKind.NumericLiteralExpression,
+                    this.createToken(SyntaxKind.NumericLiteralToken, String(value), value, expression));
+            case "string":
+                return new LiteralExpressionSyntax(SyntaxKind.StringLiteralExpression,
+                    this.createToken(SyntaxKind.StringLiteralToken, JSON.stringify(value), value, expression));
+            default:
+                return value
+                    ? new LiteralExpressionSyntax(SyntaxKind.TrueLiteralExpression, this.createToken(SyntaxKind.TrueKeyword, "true", void 0, expression))
+                    : new LiteralExpressionSyntax(SyntaxKind.FalseLiteralExpression, this.createToken(SyntaxKind.FalseKeyword, "false", void 0, expression));
+        }
+    }
+
+    /**
+     * Synthesizes a token that does not appear in the source text.
+     * @param   {SyntaxKind} kind
+     * @param   {string}     text
+     * @param   {*}          value
+     * @param   {SyntaxNode} location The node whose position the token takes.
+     * @returns {SyntaxToken}
+     */
+    createToken(kind, text, value, location) {
+        const token = new SyntaxToken(kind);
+        token.text = text;
+        token.value = value;
+        token.start = location.start;
+        token.end = location.end;
+        token.line = location.line;
+        token.column = location.column;
+        return token;
+    }
+}
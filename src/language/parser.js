@@ -2,10 +2,69 @@
 // Copyright (c) János Janka - All rights reserved.
 
 /// <reference path="types.js" />
+/// <reference path="diagnostics.js" />
 /// <reference path="lexer.js" />
 
 "use strict";
 
+/** Maps the comparison operator tokens to the kind of the binary expression they create. */
+const BinaryOperatorSyntaxKindMap = {
+    [SyntaxKind.EqualsEqualsToken]: SyntaxKind.EqualsExpression,
+    [SyntaxKind.ExclamationEqualsToken]: SyntaxKind.NotEqualsExpression,
+    [SyntaxKind.LessThanToken]: SyntaxKind.LessThanExpression,
+    [SyntaxKind.LessThanEqualsToken]: SyntaxKind.LessThanOrEqualExpression,
+    [SyntaxKind.GreaterThanToken]: SyntaxKind.GreaterThanExpression,
+    [SyntaxKind.GreaterThanEqualsToken]: SyntaxKind.GreaterThanOrEqualExpression
+};
+
+/**
+ * The tokens that end an argument list without parentheses, e.g. call greet; or repeat call count times { ... }
+ * A record literal cannot be the first argument of such a list since its brace starts the block of a loop.
+ */
+const ArgumentListTerminatorSyntaxKinds = [
+    SyntaxKind.SemicolonToken,
+    SyntaxKind.EndOfFileToken,
+    SyntaxKind.CloseParenToken,
+    SyntaxKind.CloseBracketToken,
+    SyntaxKind.OpenBraceToken,
+    SyntaxKind.CloseBraceToken,
+    SyntaxKind.CommaToken,
+    SyntaxKind.TimesKeyword,
+    SyntaxKind.OrKeyword
+];
+
+/** The tokens that can be used as the operator of an assignment statement. */
+const AssignmentOperatorSyntaxKinds = [
+    SyntaxKind.EqualsToken,
+    SyntaxKind.PlusEqualsToken,
+    SyntaxKind.MinusEqualsToken,
+    SyntaxKind.AsteriskEqualsToken,
+    SyntaxKind.SlashEqualsToken,
+    SyntaxKind.PercentEqualsToken,
+    SyntaxKind.AsteriskAsteriskEqualsToken
+];
+
+/**
+ * The tokens the parser resumes at after a syntax error (panic mode). The skipped tokens
+ * end at a semicolon, which is skipped as well, or before a brace or a keyword that starts a statement.
+ */
+const RecoverySyntaxKinds = [
+    SyntaxKind.SemicolonToken,
+    SyntaxKind.OpenBraceToken,
+    SyntaxKind.CloseBraceToken,
+    SyntaxKind.EndOfFileToken,
+    SyntaxKind.LetKeyword,
+    SyntaxKind.ConstKeyword,
+    SyntaxKind.CallKeyword,
+    SyntaxKind.CmdKeyword,
+    SyntaxKind.IfKeyword,
+    SyntaxKind.WhileKeyword,
+    SyntaxKind.RepeatKeyword,
+    SyntaxKind.ForKeyword,
+    SyntaxKind.FunctionKeyword,
+    SyntaxKind.ReturnKeyword
+];
+
 /**
  * A recursive descent parser is a kind of top-down parser built from a set of mutually
  * recursive procedures (or a non-recursive equivalent) where each such procedure usually
@@ -17,11 +76,59 @@
 class Parser {
     /**
      * Creates a new parser for the specified lexer.
-     * @param  {Lexer} lexer The lexical analyzer.
+     * @param  {Lexer}  lexer     The lexical analyzer.
+     * @param  {Object} [options] The compiler options.
+     * @param  {boolean} [options.warnOnLegacyCommands] Reports a warning for each 'call ... |' command.
+     * @param  {DiagnosticBag} [diagnostics] The bag the syntax errors and warnings are reported into.
      */
-    constructor(lexer) {
+    constructor(lexer, options, diagnostics) {
         this.lexer = lexer;
+        this.options = options || {};
         this.token = lexer.next();
+        this.blockDepth = 0;
+        this.isInFunction = false;
+        this.diagnostics = diagnostics || new DiagnosticBag();
+        this.errorCount = 0;
+        this.lastErrorPos = -1;
+    }
+
+    /**
+     * Records a syntax error. The parser goes on, since the tree can still be built.
+     * @param {DiagnosticCode}           code
+     * @param {string}                   message
+     * @param {SyntaxToken | SyntaxNode} item               The syntax element the error belongs to.
+     * @param {RelatedLocation[]}        [relatedLocations]
+     */
+    reportError(code, message, item, relatedLocations) {
+        this.diagnostics.reportError(code, message, item, relatedLocations);
+        this.errorCount++;
+    }
+
+    /**
+     * Records a warning that does not stop the compilation.
+     * @param {DiagnosticCode}           code
+     * @param {string}                   message
+     * @param {SyntaxToken | SyntaxNode} item    The syntax element the warning belongs to.
+     */
+    reportWarning(code, message, item) {
+        this.diagnostics.reportWarning(code, message, item);
+    }
+
+    /**
+     * Records a syntax error at the current token. Only the first error is reported at a position,
+     * since a missing token usually makes the following rules fail at the same token as well.
+     * A bad token is not reported either, since the lexer has already reported it as an invalid character.
+     * The suppressed errors are still counted, so the statement containing them is marked as broken.
+     * @param {DiagnosticCode} code
+     * @param {string}         message
+     */
+    reportUnexpectedToken(code, message) {
+        if (this.token.start !== this.lastErrorPos && this.token.kind !== SyntaxKind.BadToken) {
+            this.lastErrorPos = this.token.start;
+            this.reportError(code, message, this.token);
+        } else {
+            this.errorCount++;
+        }
     }
 
     /**
@@ -34,6 +141,8 @@ class Parser {
 
     /**
      * Builds up an AST (Abstract Syntax Tree) using the specified lexical analyzer.
+     * The parser never stops at a syntax error: it synthesizes the missing tokens and skips
+     * the unexpected ones, so a (partial) tree is always given back with all the errors.
      * @returns {ProgramDeclaration}
      */
     parse() {
@@ -49,6 +158,7 @@ class Parser {
         switch (this.token.kind) {
             // Parse an invocation expression which can be used as an R-Value.
             case SyntaxKind.CallKeyword:
+            case SyntaxKind.CmdKeyword:
                 return this.parseInvocationExpression();
 
             // Parses a literal expression to an LiteralSyntax syntax node. 
@@ -58,6 +168,20 @@ class Parser {
             case SyntaxKind.StringLiteralToken:
                 return new LiteralExpressionSyntax(SyntaxKind.StringLiteralExpression, this.parseExpectedToken(this.token.kind));
 
+            case SyntaxKind.TrueKeyword:
+                return new LiteralExpressionSyntax(SyntaxKind.TrueLiteralExpression, this.parseExpectedToken(this.token.kind));
+
+            case SyntaxKind.FalseKeyword:
+                return new LiteralExpressionSyntax(SyntaxKind.FalseLiteralExpression, this.parseExpectedToken(this.token.kind));
+
+            case SyntaxKind.NothingKeyword:
+                return new LiteralExpressionSyntax(SyntaxKind.NothingLiteralExpression, this.parseExpectedToken(this.token.kind));
+
+            // Parses an interpolated string to a TemplateExpression syntax node.
+            case SyntaxKind.NoSubstitutionTemplateToken:
+            case SyntaxKind.TemplateHeadToken:
+                return this.parseTemplateExpression();
+
             // Parses an identifier expression to an IdentifierNameSyntax syntax node.
             case SyntaxKind.IdentifierToken:
                 return new IdentifierNameSyntax(this.parseExpectedToken(SyntaxKind.IdentifierToken));
@@ -69,19 +193,157 @@ class Parser {
                     this.parseExpression(),
                     this.parseExpectedToken(SyntaxKind.CloseParenToken));
 
+            // Parses a list [ ... ] to a list literal syntax node.
+            case SyntaxKind.OpenBracketToken:
+                return this.parseListLiteralExpression();
+
+            // Parses a record { ... } to an object literal syntax node. A '{' at the beginning
+            // of a statement always opens a block, since a statement cannot start with an expression,
+            // so a '{' can only mean a record where an expression is expected.
+            case SyntaxKind.OpenBraceToken:
+                return this.parseObjectLiteralExpression();
+
             // Parses a unary +/- expression to a unary syntax node.
+            // The operand can be an exponentiation because it binds more tightly: -2 ** 2 = -(2 ** 2)
             case SyntaxKind.PlusToken:
             case SyntaxKind.MinusToken: {
                 const operator = this.parseExpectedToken(this.token.kind);
                 return new UnaryExpression(
-                    operator.kind === SyntaxKind.PlusToken ? SyntaxKind.PlusToken : SyntaxKind.UnaryMinusExpression,
-                    this.parseExpressionFactor(),
+                    operator.kind === SyntaxKind.PlusToken ? SyntaxKind.UnaryPlusExpression : SyntaxKind.UnaryMinusExpression,
+                    this.parseExponentiationExpression(),
                     operator);
             }
 
+            // The expression is missing, so we synthesize a name that takes its place in the tree.
             default:
-                throw new SyntaxError(`An expression expected instead of the token '${this.token.kindText}'.`);
+                this.reportUnexpectedToken(DiagnosticCode.ExpressionExpected, `An expression expected instead of the token '${this.token.kindText}'.`);
+                return new IdentifierNameSyntax(this.createMissingToken(SyntaxKind.IdentifierToken));
+        }
+    }
+
+    /**
+     * Parses a factor of an expression followed by any number of postfix
+     * element and member accesses, e.g. table[row][column] or voices[0].name.
+     * @returns {Expression}
+     */
+    parsePostfixExpression() {
+        let expression = this.parseExpressionFactor();
+
+        // A name followed by a parenthesis calls a function: foo(1, 2)
+        if (expression.kind === SyntaxKind.IdentifierName && this.token.kind === SyntaxKind.OpenParenToken) {
+            expression = this.parseParenthesizedInvocation(void 0, expression);
+        }
+
+        while (true) {
+            if (this.token.kind === SyntaxKind.OpenBracketToken) {
+                expression = new ElementAccessExpression(
+                    expression,
+                    this.parseExpectedToken(SyntaxKind.OpenBracketToken),
+                    this.parseExpression(),
+                    this.parseExpectedToken(SyntaxKind.CloseBracketToken));
+                continue;
+            }
+            if (this.token.kind === SyntaxKind.DotToken) {
+                expression = new MemberAccessExpression(
+                    expression,
+                    this.parseExpectedToken(SyntaxKind.DotToken),
+                    new IdentifierNameSyntax(this.parseExpectedToken(SyntaxKind.IdentifierToken)));
+                continue;
+            }
+            return expression;
+        }
+    }
+
+    /**
+     * Parses a comma-separated list of 'name: value' pairs enclosed in braces.
+     * @returns {ObjectLiteralExpression}
+     */
+    parseObjectLiteralExpression() {
+        const properties = [];
+        const openBraceToken = this.parseExpectedToken(SyntaxKind.OpenBraceToken);
+        if (this.token.kind !== SyntaxKind.CloseBraceToken) {
+            do {
+                const name = this.parseExpectedToken(SyntaxKind.IdentifierToken);
+                const duplicate = properties.find(property => property.name.token.value === name.value);
+                if (duplicate) {
+                    this.reportError(DiagnosticCode.DuplicateMember, `Duplicate member name '${name.value}'.`, name,
+                        [new RelatedLocation(`The member '${name.value}' is first set here.`, duplicate.name)]);
+                }
+                properties.push(new PropertyAssignment(
+                    new IdentifierNameSyntax(name),
+                    this.parseExpectedToken(SyntaxKind.ColonToken),
+                    this.parseExpression()));
+            } while (this.parseOptionalToken(SyntaxKind.CommaToken));
+        }
+        const closeBraceToken = this.parseExpectedToken(SyntaxKind.CloseBraceToken);
+
+        // Return an AST SyntaxNode representing a record.
+        return new ObjectLiteralExpression(openBraceToken, properties, closeBraceToken);
+    }
+
+    /**
+     * Parses a comma-separated list of expressions enclosed in brackets.
+     * @returns {ListLiteralExpression}
+     */
+    parseListLiteralExpression() {
+        const elements = [];
+        const openBracketToken = this.parseExpectedToken(SyntaxKind.OpenBracketToken);
+        if (this.token.kind !== SyntaxKind.CloseBracketToken) {
+            do {
+                elements.push(this.parseExpression());
+            } while (this.parseOptionalToken(SyntaxKind.CommaToken));
+        }
+        const closeBracketToken = this.parseExpectedToken(SyntaxKind.CloseBracketToken);
+
+        // Return an AST SyntaxNode representing a list literal.
+        return new ListLiteralExpression(openBracketToken, elements, closeBracketToken);
+    }
+
+    /**
+     * Parses a template literal with its embedded expressions.
+     * The lexer produces a head token (`...${), then each embedded expression
+     * is followed by a middle (}...${) or a tail (}...`) token.
+     * @returns {TemplateExpression}
+     */
+    parseTemplateExpression() {
+        const children = [];
+        if (this.token.kind === SyntaxKind.NoSubstitutionTemplateToken) {
+            children.push(this.parseExpectedToken(SyntaxKind.NoSubstitutionTemplateToken));
+            return new TemplateExpression(children);
+        }
+
+        children.push(this.parseExpectedToken(SyntaxKind.TemplateHeadToken));
+        while (true) {
+            children.push(this.parseExpression());
+            if (this.token.kind === SyntaxKind.TemplateMiddleToken) {
+                children.push(this.parseExpectedToken(SyntaxKind.TemplateMiddleToken));
+                continue;
+            }
+            children.push(this.parseExpectedToken(SyntaxKind.TemplateTailToken));
+            break;
+        }
+
+        // Return an AST SyntaxNode representing an interpolated string.
+        return new TemplateExpression(children);
+    }
+
+    /**
+     * Parses an exponentiation expression. Unlike the other binary operators,
+     * the ** operator is right-associative: 2 ** 3 ** 2 = 2 ** (3 ** 2)
+     * @returns {Expression}
+     */
+    parseExponentiationExpression() {
+        const expression = this.parsePostfixExpression();
+        if (this.token.kind === SyntaxKind.AsteriskAsteriskToken) {
+            const operator = this.token;
+            this.nextToken();
+            return new BinaryExpression(
+                SyntaxKind.ExponentExpression,              // exponentiation
+                expression,                                 // base
+                operator,                                   // **
+                this.parseExponentiationExpression());      // exponent (recursive parsing)
         }
+        return expression;
     }
 
     /**
@@ -90,13 +352,13 @@ class Parser {
      */
     parseExpressionTerm() {
         // Parse the factor
-        let expression = this.parseExpressionFactor();
+        let expression = this.parseExponentiationExpression();
 
         while (true) {
             switch (this.token.kind) {
                 // * Mathematical multiplication expression
                 // At this point we already parsed the left-hand-side of the expression,
-                // the right-hand-side of the expression will be parsed calling the parseFactor() function again.
+                // the right-hand-side of the expression will be parsed calling the parseExponentiationExpression() function.
                 case SyntaxKind.AsteriskToken: {
                     const operator = this.token;
                     this.nextToken();
@@ -104,13 +366,13 @@ class Parser {
                         SyntaxKind.MultiplyExpression,  // multiply
                         expression,                     // left-hand-side expression
                         operator,                       // *
-                        this.parseExpressionFactor());  // right-hand-side expression
+                        this.parseExponentiationExpression());  // right-hand-side expression
                     break;
                 }
 
                 // / Mathematical division expression
                 // At this point we already parsed the left-hand-side of the expression,
-                // the right-hand-side of the expression will be parsed calling the parseFactor() function again.
+                // the right-hand-side of the expression will be parsed calling the parseExponentiationExpression() function.
                 case SyntaxKind.SlashToken: {
                     const operator = this.token;
                     this.nextToken();
@@ -118,7 +380,19 @@ class Parser {
                         SyntaxKind.DivideExpression,    // division
                         expression,                     // left-hand-side expression
                         operator,                       // /
-                        this.parseExpressionFactor());  // right-hand-side expression
+                        this.parseExponentiationExpression());  // right-hand-side expression
+                    break;
+                }
+
+                // % Remainder of a division
+                case SyntaxKind.PercentToken: {
+                    const operator = this.token;
+                    this.nextToken();
+                    expression = new BinaryExpression(
+                        SyntaxKind.ModuloExpression,    // remainder
+                        expression,                     // left-hand-side expression
+                        operator,                       // %
+                        this.parseExponentiationExpression());  // right-hand-side expression
                     break;
                 }
 
@@ -130,10 +404,10 @@ class Parser {
     }
 
     /**
-     * Parses a single expression.
+     * Parses an additive (+ -) expression.
      * @returns {Expression}
      */
-    parseExpression() {
+    parseAdditiveExpression() {
         // Parse the left-hand-side of the expression.
         let expression = this.parseExpressionTerm();
 
@@ -174,37 +448,257 @@ class Parser {
         }
     }
 
+    /**
+     * Parses a relational (< <= > >=) expression.
+     * @returns {Expression}
+     */
+    parseRelationalExpression() {
+        let expression = this.parseAdditiveExpression();
+
+        while (true) {
+            switch (this.token.kind) {
+                case SyntaxKind.LessThanToken:
+                case SyntaxKind.LessThanEqualsToken:
+                case SyntaxKind.GreaterThanToken:
+                case SyntaxKind.GreaterThanEqualsToken: {
+                    const operator = this.token;
+                    this.nextToken();
+                    expression = new BinaryExpression(
+                        BinaryOperatorSyntaxKindMap[operator.kind],
+                        expression,
+                        operator,
+                        this.parseAdditiveExpression());
+                    break;
+                }
+
+                default:
+                    return expression;
+            }
+        }
+    }
+
+    /**
+     * Parses an equality (== !=) expression.
+     * @returns {Expression}
+     */
+    parseEqualityExpression() {
+        let expression = this.parseRelationalExpression();
+
+        while (true) {
+            switch (this.token.kind) {
+                case SyntaxKind.EqualsEqualsToken:
+                case SyntaxKind.ExclamationEqualsToken: {
+                    const operator = this.token;
+                    this.nextToken();
+                    expression = new BinaryExpression(
+                        BinaryOperatorSyntaxKindMap[operator.kind],
+                        expression,
+                        operator,
+                        this.parseRelationalExpression());
+                    break;
+                }
+
+                default:
+                    return expression;
+            }
+        }
+    }
+
+    /**
+     * Parses a logical negation. The keyword 'not' has a lower precedence than
+     * the comparisons, so "not a == b" means "not (a == b)".
+     * @returns {Expression}
+     */
+    parseLogicalNotExpression() {
+        if (this.token.kind === SyntaxKind.NotKeyword) {
+            const operator = this.parseExpectedToken(SyntaxKind.NotKeyword);
+            return new UnaryExpression(SyntaxKind.LogicalNotExpression, this.parseLogicalNotExpression(), operator);
+        }
+        return this.parseEqualityExpression();
+    }
+
+    /**
+     * Parses a logical 'and' expression.
+     * @returns {Expression}
+     */
+    parseLogicalAndExpression() {
+        let expression = this.parseLogicalNotExpression();
+
+        while (this.token.kind === SyntaxKind.AndKeyword) {
+            const operator = this.parseExpectedToken(SyntaxKind.AndKeyword);
+            expression = new BinaryExpression(
+                SyntaxKind.LogicalAndExpression, expression, operator, this.parseLogicalNotExpression());
+        }
+        return expression;
+    }
+
+    /**
+     * Parses a single expression. The operators from the lowest to the highest precedence:
+     *    or, and, not, == !=, < <= > >=, + -, * / %, unary + -, **
+     * @returns {Expression}
+     */
+    parseExpression() {
+        let expression = this.parseLogicalAndExpression();
+
+        while (this.token.kind === SyntaxKind.OrKeyword) {
+            const operator = this.parseExpectedToken(SyntaxKind.OrKeyword);
+            expression = new BinaryExpression(
+                SyntaxKind.LogicalOrExpression, expression, operator, this.parseLogicalAndExpression());
+        }
+        return expression;
+    }
+
     /**
      * Parses a single function argument expression.
+     * @param   {SyntaxKind} separatorKind The token separating the arguments.
      * @returns {Expression} 
      */
-    parseArgument() {
-        return this.parseExpression();
+    parseArgument(separatorKind) {
+        if (separatorKind !== SyntaxKind.AndKeyword) {
+            return this.parseExpression();
+        }
+
+        // The keyword 'and' separates the arguments of the 'cmd' form, so it cannot be used
+        // as an operator here: cmd speak text and (isBritish and "UK English Male");
+        let expression = this.parseLogicalNotExpression();
+        while (this.token.kind === SyntaxKind.OrKeyword) {
+            const operator = this.parseExpectedToken(SyntaxKind.OrKeyword);
+            expression = new BinaryExpression(
+                SyntaxKind.LogicalOrExpression, expression, operator, this.parseLogicalNotExpression());
+        }
+        return expression;
+    }
+
+    /**
+     * Returns true if the current token starts a named argument (name: value).
+     * The colon is the second token, so we have to look ahead.
+     * @returns {boolean}
+     */
+    isNamedArgumentStart() {
+        return this.token.kind === SyntaxKind.IdentifierToken && this.lexer.lookAhead(() => {
+            let token;
+            do {
+                token = this.lexer.next();
+            } while (token.isTrivia);
+            return token.kind === SyntaxKind.ColonToken;
+        });
+    }
+
+    /**
+     * Parses a comma-separated list of named arguments: text: "Hi", voice: "UK English Female"
+     * @returns {ArgumentListSyntax}
+     */
+    parseNamedArguments() {
+        const argumentList = [];
+        do {
+            if (!this.isNamedArgumentStart()) {
+                this.reportError(DiagnosticCode.MixedArguments, "Named and positional arguments cannot be mixed.", this.token);
+                argumentList.push(this.parseExpression());
+                continue;
+            }
+            const argument = this.parseNamedArgument();
+            const name = argument.name.token;
+            const duplicate = argumentList.find(other => other.kind === SyntaxKind.NamedArgument && other.name.token.value === name.value);
+            if (duplicate) {
+                this.reportError(DiagnosticCode.DuplicateArgument, `The argument '${name.value}' is specified more than once.`, name,
+                    [new RelatedLocation(`The argument '${name.value}' is first specified here.`, duplicate.name)]);
+            }
+            argumentList.push(argument);
+        } while (this.parseOptionalToken(SyntaxKind.CommaToken));
+
+        // Return an AST SyntaxNode representing an argument list.
+        return new ArgumentListSyntax(argumentList);
+    }
+
+    /**
+     * Parses a named argument: voice: "UK English Female"
+     * @returns {ArgumentSyntax}
+     */
+    parseNamedArgument() {
+        return new ArgumentSyntax(
+            new IdentifierNameSyntax(this.parseExpectedToken(SyntaxKind.IdentifierToken)),
+            this.parseExpectedToken(SyntaxKind.ColonToken),
+            this.parseExpression());
+    }
+
+    /**
+     * Parses a parenthesized, comma-separated list of positional or named arguments.
+     * The parentheses are stored by the invocation expression.
+     * @returns {ArgumentListSyntax}
+     */
+    parseParenthesizedArguments() {
+        if (this.token.kind === SyntaxKind.CloseParenToken) {
+            return new ArgumentListSyntax([]);
+        }
+        if (this.isNamedArgumentStart()) {
+            return this.parseNamedArguments();
+        }
+
+        const argumentList = [];
+        do {
+            argumentList.push(this.parseArgument(SyntaxKind.CommaToken));
+        } while (this.parseOptionalToken(SyntaxKind.CommaToken));
+
+        // Return an AST SyntaxNode representing an argument list.
+        return new ArgumentListSyntax(argumentList);
+    }
+
+    /**
+     * Parses the parenthesized form of an invocation after the name of the called function: (1, 2)
+     * @param   {SyntaxToken}          [keyword]  The 'call' or 'cmd' keyword if there is any.
+     * @param   {IdentifierNameSyntax} identifier
+     * @returns {InvocationExpression}
+     */
+    parseParenthesizedInvocation(keyword, identifier) {
+        const openParenToken = this.parseExpectedToken(SyntaxKind.OpenParenToken);
+        const argumentList = this.parseParenthesizedArguments();
+        const closeParenToken = this.parseExpectedToken(SyntaxKind.CloseParenToken);
+
+        // Return an AST SyntaxNode representing an invocation expression.
+        return new InvocationExpression(keyword, identifier, openParenToken, argumentList, closeParenToken);
     }
 
     /**
      * Parses a list of function argument expressions.
+     * @param   {SyntaxKind} separatorKind The token separating the arguments: 'and' or '|'.
      * @returns {ArgumentListSyntax}
      */
-    parseArguments() {
+    parseArguments(separatorKind) {
         const argumentList = [];
 
-        // Parses all the arguments in a loop until we reach a semicolon ';'
-        // or an End-Of-File (EOF) token. Each parsed argument node will be put
-        // into the array 'args'.
+        // A command can be called without arguments: call greet;
+        // The keyword 'and' ends the list too unless it separates the arguments: call isReady and isLoud
+        // In the 'cmd' form, an 'and' before the first argument is reported as a missing expression.
+        if (ArgumentListTerminatorSyntaxKinds.includes(this.token.kind) ||
+            this.token.kind === SyntaxKind.AndKeyword && separatorKind !== SyntaxKind.AndKeyword) {
+            return new ArgumentListSyntax(argumentList);
+        }
+
+        // Named arguments are separated by commas in both forms of the commands.
+        if (this.isNamedArgumentStart()) {
+            return this.parseNamedArguments();
+        }
+
+        // Parses all the arguments in a loop until there is no more separator,
+        // so the list ends at a semicolon ';' as well as at a closing parenthesis
+        // if the command is nested: foo(call bar 1 | 2, 3)
+        // Each parsed argument node will be put into the array 'args'.
         while (true) {
             // * Parse the current argument and add the result to the array.
             // * Is there another argument?
-            // * Check whether this is the end of the argument list (;).
-            argumentList.push(this.parseArgument());
-            if (this.token.kind === SyntaxKind.VerticalBar) {
-                this.parseExpectedToken(SyntaxKind.VerticalBar);
-                continue;
-            }
-            if (this.token.kind === SyntaxKind.SemicolonToken ||
-                this.token.kind === SyntaxKind.EndOfFileToken) {
+            argumentList.push(this.parseArgument(separatorKind));
+            if (this.token.kind !== separatorKind) {
                 break;
             }
+            this.parseExpectedToken(separatorKind);
+            if (this.isNamedArgumentStart()) {
+                this.reportError(DiagnosticCode.MixedArguments, "Named and positional arguments cannot be mixed.", this.token);
+                argumentList.push(this.parseNamedArgument());
+                if (this.token.kind !== separatorKind) {
+                    break;
+                }
+                this.parseExpectedToken(separatorKind);
+            }
         }
 
         // Return an AST SyntaxNode representing an argument list.
@@ -212,31 +706,223 @@ class Parser {
     }
 
     /**
-     * Parses a variable declaration statement.
+     * Parses a variable (let) or constant (const) declaration statement.
      * @returns {VarDeclStatement}
      */
     parseVarDeclStatement() {
-        const keyword = this.parseExpectedToken(SyntaxKind.LetKeyword);
+        const keyword = this.parseExpectedToken(this.token.kind);
         const identifier = new IdentifierNameSyntax(this.parseExpectedToken(SyntaxKind.IdentifierToken));
+        const typeAnnotation = this.token.kind === SyntaxKind.ColonToken ? this.parseTypeAnnotation() : void 0;
         const expression = this.parseOptionalToken(SyntaxKind.EqualsToken) && this.parseExpression();
+        if (!expression && keyword.kind === SyntaxKind.ConstKeyword) {
+            this.reportError(DiagnosticCode.ConstantWithoutValue, `The constant '${identifier.token.value}' must be initialized.`, identifier);
+        }
         this.parseExpectedToken(SyntaxKind.SemicolonToken);
 
         // Return an AST SyntaxNode representing a variable declaration statement.
-        return new VarDeclStatement(keyword, identifier, expression);
+        return new VarDeclStatement(keyword, identifier, typeAnnotation, expression);
+    }
+
+    /**
+     * Parses the type of a declared name such as ': number'.
+     * The type name is resolved by the checker, not by the parser.
+     * @returns {TypeAnnotationSyntax}
+     */
+    parseTypeAnnotation() {
+        const colonToken = this.parseExpectedToken(SyntaxKind.ColonToken);
+        const typeName = new IdentifierNameSyntax(this.parseExpectedToken(SyntaxKind.IdentifierToken));
+
+        // Return an AST SyntaxNode representing a type annotation.
+        return new TypeAnnotationSyntax(colonToken, typeName);
+    }
+
+    /**
+     * Parses a statement starting with a name: either an assignment such as 'x = 1;', 'x += 1;'
+     * or 'xs[0] = 1;', or a parenthesized invocation such as 'greet("Bob");'.
+     * @returns {AssignmentStatement | InvocationExpression}
+     */
+    parseAssignmentOrInvocationStatement() {
+        const target = this.parsePostfixExpression();
+        if (target.kind === SyntaxKind.InvocationExpression && this.token.kind === SyntaxKind.SemicolonToken) {
+            this.parseExpectedToken(SyntaxKind.SemicolonToken);
+            return target;
+        }
+        if (target.kind !== SyntaxKind.IdentifierName &&
+            target.kind !== SyntaxKind.ElementAccessExpression &&
+            target.kind !== SyntaxKind.MemberAccessExpression) {
+            this.reportError(DiagnosticCode.InvalidAssignmentTarget, "Only a variable, a list item or a record member can be assigned a value.", target);
+        }
+        let operator;
+        if (AssignmentOperatorSyntaxKinds.includes(this.token.kind)) {
+            operator = this.parseExpectedToken(this.token.kind);
+        } else {
+            this.reportUnexpectedToken(DiagnosticCode.AssignmentOperatorExpected,
+                `An assignment operator expected instead of the token '${this.token.kindText}'.`);
+            operator = this.createMissingToken(SyntaxKind.EqualsToken);
+        }
+        const expression = this.parseExpression();
+        this.parseExpectedToken(SyntaxKind.SemicolonToken);
+
+        // Return an AST SyntaxNode representing an assignment statement.
+        return new AssignmentStatement(target, operator, expression);
     }
 
     /**
-     * Parses an invocation expression.
+     * Parses an invocation expression. The documented form separates the arguments
+     * by 'and' (cmd speak "Hi" and voice), while the legacy form uses '|' (call speak "Hi" | voice).
      * @returns {InvocationExpression}
      */
     parseInvocationExpression(checkSemicolon) {
-        const keyword = this.parseExpectedToken(SyntaxKind.CallKeyword);
+        const keyword = this.parseExpectedToken(this.token.kind);
         const identifier = new IdentifierNameSyntax(this.parseExpectedToken(SyntaxKind.IdentifierToken));
-        const argumentList = this.parseArguments();
+
+        // A parenthesis after the name always encloses all the arguments like anywhere else in
+        // an expression, so the invocation can be followed by other operators: call foo(1, 2) + 3
+        // A first argument starting with a parenthesis has to be put in the parentheses: call foo((1 + 2) * 3)
+        if (this.token.kind === SyntaxKind.OpenParenToken) {
+            const invocation = this.parseParenthesizedInvocation(keyword, identifier);
+            checkSemicolon && this.parseExpectedToken(SyntaxKind.SemicolonToken);
+            return invocation;
+        }
+
+        const isLegacySyntax = keyword.kind === SyntaxKind.CallKeyword;
+        const argumentList = this.parseArguments(isLegacySyntax ? SyntaxKind.VerticalBar : SyntaxKind.AndKeyword);
         checkSemicolon && this.parseExpectedToken(SyntaxKind.SemicolonToken);
 
+        if (isLegacySyntax && this.options.warnOnLegacyCommands) {
+            this.reportWarning(DiagnosticCode.LegacyCommandSyntax,
+                `The 'call ... |' form is obsolete. Use 'cmd ${identifier.token.value} ... and ...' instead.`, keyword);
+        }
+
         // Return an AST SyntaxNode representing an invocation expression.
-        return new InvocationExpression(keyword, identifier, argumentList);
+        return new InvocationExpression(keyword, identifier, void 0, argumentList, void 0);
+    }
+
+    /**
+     * Parses an if statement with its optional else if / else branches.
+     * @returns {IfStatement}
+     */
+    parseIfStatement() {
+        const keyword = this.parseExpectedToken(SyntaxKind.IfKeyword);
+        this.parseExpectedToken(SyntaxKind.OpenParenToken);
+        const condition = this.parseExpression();
+        this.parseExpectedToken(SyntaxKind.CloseParenToken);
+        const block = this.parseBlock();
+
+        // An 'else' can be followed by another 'if' statement (else if) or a block.
+        const elseKeyword = this.parseOptionalToken(SyntaxKind.ElseKeyword);
+        const elseStatement = elseKeyword && (this.token.kind === SyntaxKind.IfKeyword
+            ? this.parseIfStatement()
+            : this.parseBlock());
+
+        // Return an AST SyntaxNode representing an if statement.
+        return new IfStatement(keyword, condition, block, elseKeyword, elseStatement);
+    }
+
+    /**
+     * Parses a while loop.
+     * @returns {WhileStatement}
+     */
+    parseWhileStatement() {
+        const keyword = this.parseExpectedToken(SyntaxKind.WhileKeyword);
+        this.parseExpectedToken(SyntaxKind.OpenParenToken);
+        const condition = this.parseExpression();
+        this.parseExpectedToken(SyntaxKind.CloseParenToken);
+        const block = this.parseBlock();
+
+        // Return an AST SyntaxNode representing a while loop.
+        return new WhileStatement(keyword, condition, block);
+    }
+
+    /**
+     * Parses a 'repeat N times' loop.
+     * @returns {RepeatStatement}
+     */
+    parseRepeatStatement() {
+        const keyword = this.parseExpectedToken(SyntaxKind.RepeatKeyword);
+        const count = this.parseExpression();
+        const timesKeyword = this.parseExpectedToken(SyntaxKind.TimesKeyword);
+        const block = this.parseBlock();
+
+        // Return an AST SyntaxNode representing a repeat loop.
+        return new RepeatStatement(keyword, count, timesKeyword, block);
+    }
+
+    /**
+     * Parses a 'for each x in list' loop.
+     * @returns {ForEachStatement}
+     */
+    parseForEachStatement() {
+        const forKeyword = this.parseExpectedToken(SyntaxKind.ForKeyword);
+        const eachKeyword = this.parseExpectedToken(SyntaxKind.EachKeyword);
+        const identifier = new IdentifierNameSyntax(this.parseExpectedToken(SyntaxKind.IdentifierToken));
+        const inKeyword = this.parseExpectedToken(SyntaxKind.InKeyword);
+        const expression = this.parseExpression();
+        const block = this.parseBlock();
+
+        // Return an AST SyntaxNode representing a for each loop.
+        return new ForEachStatement(forKeyword, eachKeyword, identifier, inKeyword, expression, block);
+    }
+
+    /**
+     * Parses a function declaration. Functions can be declared only in the program block,
+     * so they can be called from anywhere in the program.
+     * @returns {FunctionDeclaration}
+     */
+    parseFunctionDeclaration() {
+        if (this.blockDepth !== 1) {
+            this.reportError(DiagnosticCode.MisplacedFunction, "Functions can be declared only in the program block.", this.token);
+        }
+        const keyword = this.parseExpectedToken(SyntaxKind.FunctionKeyword);
+        const identifier = new IdentifierNameSyntax(this.parseExpectedToken(SyntaxKind.IdentifierToken));
+        const parameterList = this.parseParameters();
+
+        this.isInFunction = true;
+        const block = this.parseBlock();
+        this.isInFunction = false;
+
+        // Return an AST SyntaxNode representing a function declaration.
+        return new FunctionDeclaration(keyword, identifier, parameterList, block);
+    }
+
+    /**
+     * Parses a parenthesized, comma-separated list of function parameters.
+     * @returns {ParameterListSyntax}
+     */
+    parseParameters() {
+        const parameters = [];
+        this.parseExpectedToken(SyntaxKind.OpenParenToken);
+        if (this.token.kind !== SyntaxKind.CloseParenToken) {
+            do {
+                const token = this.parseExpectedToken(SyntaxKind.IdentifierToken);
+                const duplicate = parameters.find(parameter => parameter.token.value === token.value);
+                if (duplicate) {
+                    this.reportError(DiagnosticCode.DuplicateParameter, `Duplicate parameter name '${token.value}'.`, token,
+                        [new RelatedLocation(`The parameter '${token.value}' is first declared here.`, duplicate)]);
+                }
+                parameters.push(new IdentifierNameSyntax(token));
+            } while (this.parseOptionalToken(SyntaxKind.CommaToken));
+        }
+        this.parseExpectedToken(SyntaxKind.CloseParenToken);
+
+        // Return an AST SyntaxNode representing a parameter list.
+        return new ParameterListSyntax(parameters);
+    }
+
+    /**
+     * Parses a return statement.
+     * @returns {ReturnStatement}
+     */
+    parseReturnStatement() {
+        if (!this.isInFunction) {
+            this.reportError(DiagnosticCode.MisplacedReturn, "A 'return' statement can be used only within a function body.", this.token);
+        }
+        const keyword = this.parseExpectedToken(SyntaxKind.ReturnKeyword);
+        const expression = this.token.kind !== SyntaxKind.SemicolonToken && this.parseExpression();
+        this.parseExpectedToken(SyntaxKind.SemicolonToken);
+
+        // Return an AST SyntaxNode representing a return statement.
+        return new ReturnStatement(keyword, expression);
     }
 
     /**
@@ -246,15 +932,51 @@ class Parser {
     parseStatement() {
         switch (this.token.kind) {
             case SyntaxKind.LetKeyword:
+            case SyntaxKind.ConstKeyword:
                 return this.parseVarDeclStatement();
+            case SyntaxKind.IdentifierToken:
+                return this.parseAssignmentOrInvocationStatement();
             case SyntaxKind.CallKeyword:
+            case SyntaxKind.CmdKeyword:
                 return this.parseInvocationExpression(true);
+            case SyntaxKind.IfKeyword:
+                return this.parseIfStatement();
+            case SyntaxKind.WhileKeyword:
+                return this.parseWhileStatement();
+            case SyntaxKind.RepeatKeyword:
+                return this.parseRepeatStatement();
+            case SyntaxKind.ForKeyword:
+                return this.parseForEachStatement();
+            case SyntaxKind.FunctionKeyword:
+                return this.parseFunctionDeclaration();
+            case SyntaxKind.ReturnKeyword:
+                return this.parseReturnStatement();
             default:
                 // Something is wrong. The user forgot to write at least command :-)
-                throw new SyntaxError(`A statement expected instead of the token '${this.token.kindText}'.`);
+                // We skip the tokens up to the next statement (panic mode).
+                this.reportUnexpectedToken(DiagnosticCode.StatementExpected, `A statement expected instead of the token '${this.token.kindText}'.`);
+                return this.parseSkippedTokens();
         }
     }
 
+    /**
+     * Skips the tokens up to the next token the parser can resume at (see RecoverySyntaxKinds).
+     * At least one token is skipped, so the parser always makes progress.
+     * @returns {SkippedTokensSyntax}
+     */
+    parseSkippedTokens() {
+        const tokens = [];
+        do {
+            tokens.push(this.token);
+            this.nextToken();
+        } while (!RecoverySyntaxKinds.includes(this.token.kind));
+        const semicolonToken = this.parseOptionalToken(SyntaxKind.SemicolonToken);
+        semicolonToken && tokens.push(semicolonToken);
+
+        // Return an AST SyntaxNode representing the skipped tokens.
+        return new SkippedTokensSyntax(tokens);
+    }
+
     /**
      * Parses a block element { }. Since a block element can be nested into another block
      * element, we call this function in a recursive manner.
@@ -263,32 +985,36 @@ class Parser {
     parseBlock() {
         const elements = [];
 
-        this.parseExpectedToken(SyntaxKind.OpenBraceToken);
+        const openBraceToken = this.parseExpectedToken(SyntaxKind.OpenBraceToken);
+        const errorCount = this.errorCount;
+        this.blockDepth++;
         while (true) {
             // Exit the 'while' loop because this is the end of this block.
             if (this.token.kind === SyntaxKind.CloseBraceToken) {
+                this.parseExpectedToken(SyntaxKind.CloseBraceToken);
                 break;
             }
 
-            // Parse the nested block in a recursive way.
-            if (this.token.kind === SyntaxKind.OpenBraceToken) {
-                elements.push(this.parseBlock());
-                continue;
-            }
-
             // This means that this block has not been terminated and
             // we run out of the tokens.
             if (this.token.kind === SyntaxKind.EndOfFileToken) {
-                throw new SyntaxError("Unterminated block.");
+                this.reportError(DiagnosticCode.UnterminatedBlock, "Unterminated block.", openBraceToken);
+                break;
             }
 
-            // Parse as statement.
-            elements.push(this.parseStatement());
+            // Parse the nested block in a recursive way or parse as statement.
+            // A statement is marked as broken if a syntax error has been reported within it.
+            const statementErrorCount = this.errorCount;
+            const statement = this.token.kind === SyntaxKind.OpenBraceToken ? this.parseBlock() : this.parseStatement();
+            statement.isBroken = statement.isBroken || this.errorCount > statementErrorCount;
+            elements.push(statement);
         }
-        this.parseExpectedToken(SyntaxKind.CloseBraceToken);
+        this.blockDepth--;
 
         // Return an AST SyntaxNode that represents a block with its elements (children). 
-        return new BlockSyntax(elements);
+        const block = new BlockSyntax(elements);
+        block.isBroken = this.errorCount > errorCount;
+        return block;
     }
 
     /**
@@ -308,11 +1034,9 @@ class Parser {
         return new ProgramSyntax(keyword, identifier, block);
     }
 
-    /** Skips all of the white-space tokens until it runs out. */
+    /** Skips all of the white-space and comment tokens until it runs out. */
     skipWhiteSpace() {
-        while ((this.token.kind === SyntaxKind.WhiteSpaceTrivia
-            || this.token.kind === SyntaxKind.EndOfLineToken)
-            && this.token.kind !== SyntaxKind.EndOfFileToken) {
+        while (this.token.isTrivia) {
             this.token = this.lexer.next();
         }
     }
@@ -339,7 +1063,7 @@ class Parser {
 
     /**
      * Moves the cursor to the next token if that matches the specified syntax kind;
-     * otherwise, it throws a syntax error (unexpected token) exception.
+     * otherwise, it reports a syntax error and gives back a synthesized (missing) token.
      * @param {SyntaxKind} syntaxKind Kind of the lexical element to be checked.
      * @returns {SyntaxToken} The previous token.
      */
@@ -348,6 +1072,22 @@ class Parser {
         if (token) {
             return token;
         }
-        throw new SyntaxError(`${SyntaxKind[syntaxKind]} expected instead of the token '${this.token.kindText}'.`);
+        this.reportUnexpectedToken(DiagnosticCode.TokenExpected, `${SyntaxKind[syntaxKind]} expected instead of the token '${this.token.kindText}'.`);
+        return this.createMissingToken(syntaxKind);
+    }
+
+    /**
+     * Synthesizes a token in place of a missing one. The token is empty and
+     * takes the position of the current token, so the tree can still be displayed.
+     * @param   {SyntaxKind} syntaxKind
+     * @returns {SyntaxToken}
+     */
+    createMissingToken(syntaxKind) {
+        const token = new SyntaxToken(syntaxKind);
+        token.start = token.end = this.token.start;
+        token.line = this.token.line;
+        token.column = this.token.column;
+        token.isMissing = true;
+        return token;
     }
 }
\ No newline at end of file
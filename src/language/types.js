@@ -9,6 +9,9 @@ const SyntaxKind = {
     EndOfFileToken: 1,     // EOF
     EndOfLineToken: 2,     // EOL
     WhiteSpaceTrivia: 3,   // white-spaces
+    SingleLineCommentTrivia: 4, // // comment
+    MultiLineCommentTrivia: 5,  // /* comment */
+    BadToken: 6,                // invalid characters
 
     /* Punctuation */
     OpenBraceToken: 100,    // {
@@ -22,51 +25,218 @@ const SyntaxKind = {
     AsteriskToken: 108,     // *
     SlashToken: 109,        // /
     VerticalBar: 110,       // |
+    EqualsEqualsToken: 111,         // ==
+    ExclamationEqualsToken: 112,    // !=
+    LessThanToken: 113,             // <
+    LessThanEqualsToken: 114,       // <=
+    GreaterThanToken: 115,          // >
+    GreaterThanEqualsToken: 116,    // >=
+    PercentToken: 117,              // %
+    AsteriskAsteriskToken: 118,     // **
+    CommaToken: 119,                // ,
+    PlusEqualsToken: 120,           // +=
+    MinusEqualsToken: 121,          // -=
+    AsteriskEqualsToken: 122,       // *=
+    SlashEqualsToken: 123,          // /=
+    PercentEqualsToken: 124,        // %=
+    AsteriskAsteriskEqualsToken: 125, // **=
+    OpenBracketToken: 126,          // [
+    CloseBracketToken: 127,         // ]
+    DotToken: 128,                  // .
+    ColonToken: 129,                // :
 
     /* Reserved Words */
     ProgramKeyword: 200,    // program
     CallKeyword: 201,       // call
     LetKeyword: 202,        // let
     AndKeyword: 203,        // and
+    OrKeyword: 204,         // or
+    NotKeyword: 205,        // not
+    TrueKeyword: 206,       // true
+    FalseKeyword: 207,      // false
+    NothingKeyword: 208,    // nothing
+    IfKeyword: 209,         // if
+    ElseKeyword: 210,       // else
+    WhileKeyword: 211,      // while
+    RepeatKeyword: 212,     // repeat
+    TimesKeyword: 213,      // times
+    ForKeyword: 214,        // for
+    EachKeyword: 215,       // each
+    InKeyword: 216,         // in
+    FunctionKeyword: 217,   // function
+    ReturnKeyword: 218,     // return
+    ConstKeyword: 219,      // const
+    CmdKeyword: 220,        // cmd
 
     /* Identifiers */
     IdentifierToken: 300,
     NumericLiteralToken: 301,
     StringLiteralToken: 302,
+    NoSubstitutionTemplateToken: 303,   // `text`
+    TemplateHeadToken: 304,             // `text${
+    TemplateMiddleToken: 305,           // }text${
+    TemplateTailToken: 306,             // }text`
 
     /* Names & Type Names */
     IdentifierName: 1100,
+    TypeAnnotation: 1101,
 
     /* Expressions */
     ParenthesizedExpression: 1200,
     ArgumentList: 1201,
+    ParameterList: 1202,
+    NamedArgument: 1203,
 
     /* Primary Expressions */
     NumericLiteralExpression: 1301,
     StringLiteralExpression: 1302,
+    TemplateExpression: 1303,
+    TrueLiteralExpression: 1304,
+    FalseLiteralExpression: 1305,
+    NothingLiteralExpression: 1306,
+    ListLiteralExpression: 1307,
+    ElementAccessExpression: 1308,
+    ObjectLiteralExpression: 1309,
+    PropertyAssignment: 1310,
+    MemberAccessExpression: 1311,
 
     /* Unary Expressions */
     UnaryPlusExpression: 1400,
     UnaryMinusExpression: 1401,
+    LogicalNotExpression: 1402,
 
     /* Binary Expressions */
     AddExpression: 1500,
     SubtractExpression: 1501,
     MultiplyExpression: 1502,
     DivideExpression: 1503,
+    ModuloExpression: 1504,
+    ExponentExpression: 1505,
+    EqualsExpression: 1506,
+    NotEqualsExpression: 1507,
+    LessThanExpression: 1508,
+    LessThanOrEqualExpression: 1509,
+    GreaterThanExpression: 1510,
+    GreaterThanOrEqualExpression: 1511,
+    LogicalAndExpression: 1512,
+    LogicalOrExpression: 1513,
 
     /* Statements */
     Program: 2000,
     Block: 2001,
     VarDeclStatement: 2002,
-    InvocationExpression: 2003
+    InvocationExpression: 2003,
+    IfStatement: 2004,
+    WhileStatement: 2005,
+    RepeatStatement: 2006,
+    ForEachStatement: 2007,
+    FunctionDeclaration: 2008,
+    ReturnStatement: 2009,
+    AssignmentStatement: 2010,
+
+    /* Error Recovery */
+    SkippedTokens: 2100
 };
 
 const KeywordSyntaxKindMap = {
     "program": SyntaxKind.ProgramKeyword,
     "call": SyntaxKind.CallKeyword,
     "let": SyntaxKind.LetKeyword,
-    "and": SyntaxKind.AndKeyword
+    "and": SyntaxKind.AndKeyword,
+    "or": SyntaxKind.OrKeyword,
+    "not": SyntaxKind.NotKeyword,
+    "true": SyntaxKind.TrueKeyword,
+    "false": SyntaxKind.FalseKeyword,
+    "nothing": SyntaxKind.NothingKeyword,
+    "if": SyntaxKind.IfKeyword,
+    "else": SyntaxKind.ElseKeyword,
+    "while": SyntaxKind.WhileKeyword,
+    "repeat": SyntaxKind.RepeatKeyword,
+    "times": SyntaxKind.TimesKeyword,
+    "for": SyntaxKind.ForKeyword,
+    "each": SyntaxKind.EachKeyword,
+    "in": SyntaxKind.InKeyword,
+    "function": SyntaxKind.FunctionKeyword,
+    "return": SyntaxKind.ReturnKeyword,
+    "const": SyntaxKind.ConstKeyword,
+    "cmd": SyntaxKind.CmdKeyword
+};
+
+/** Maps the compound assignment operators to the binary expression they perform. */
+const CompoundAssignmentSyntaxKindMap = {
+    [SyntaxKind.PlusEqualsToken]: SyntaxKind.AddExpression,
+    [SyntaxKind.MinusEqualsToken]: SyntaxKind.SubtractExpression,
+    [SyntaxKind.AsteriskEqualsToken]: SyntaxKind.MultiplyExpression,
+    [SyntaxKind.SlashEqualsToken]: SyntaxKind.DivideExpression,
+    [SyntaxKind.PercentEqualsToken]: SyntaxKind.ModuloExpression,
+    [SyntaxKind.AsteriskAsteriskEqualsToken]: SyntaxKind.ExponentExpression
+};
+
+/** Identifies the kind of a problem found in the source text. */
+const DiagnosticCode = {
+    /* Lexical Errors */
+    InvalidCharacter: 1000,
+    UnterminatedComment: 1001,
+    UnterminatedStringLiteral: 1002,
+    UnterminatedTemplateLiteral: 1003,
+    InvalidEscapeSequence: 1004,
+    DigitExpected: 1005,
+    InvalidNumericSeparator: 1006,
+    InvalidNumericLiteral: 1007,
+    InvalidIdentifier: 1008,
+
+    /* Syntax Errors and Warnings */
+    LegacyCommandSyntax: 2000,
+    TokenExpected: 2001,
+    ExpressionExpected: 2002,
+    StatementExpected: 2003,
+    UnterminatedBlock: 2004,
+    DuplicateMember: 2005,
+    DuplicateArgument: 2006,
+    MixedArguments: 2007,
+    ConstantWithoutValue: 2008,
+    InvalidAssignmentTarget: 2009,
+    AssignmentOperatorExpected: 2010,
+    MisplacedFunction: 2011,
+    DuplicateParameter: 2012,
+    MisplacedReturn: 2013,
+
+    /* Binding Errors and Warnings */
+    UndeclaredName: 3000,
+    DuplicateName: 3001,
+    ShadowedName: 3002,
+    NotCallable: 3003,
+    ReadOnlyAssignment: 3004,
+    UnknownParameter: 3005,
+    ArgumentCountMismatch: 3006,
+    ReservedName: 3007,
+    UsedBeforeDeclaration: 3008,
+    CommandNotCalled: 3009,
+
+    /* Type Errors */
+    UnknownType: 4000,
+    NotAssignable: 4001,
+    InvalidOperandType: 4002,
+    InvalidArgumentType: 4003,
+    NotIndexable: 4005,
+    NotIterable: 4006,
+    NotRecord: 4007,
+
+    /* Optimizer Warnings */
+    DivisionByZero: 5000,
+
+    /* Lint Rules */
+    UnusedVariable: 6000,
+    UnusedResult: 6001,
+    EmptyBlock: 6002,
+    UselessBlock: 6003,
+    NamingStyle: 6004,
+    MagicNumber: 6005,
+    InvalidLintPragma: 6006,
+    InvalidLintOption: 6007,
+
+    /* Emitter Errors */
+    UnsupportedSyntax: 7000
 };
 
 // Do not use "const name" because IE's Chakra engine
@@ -74,25 +244,8 @@ const KeywordSyntaxKindMap = {
 for (let name in SyntaxKind) {
     SyntaxKind[SyntaxKind[name]] = name;
 }
-
-/** Thrown when an error has occured during parsing. */
-class SyntaxError {
-    constructor(message) {
-        this.message = message;
-    }
-    toString() {
-        return "Syntax Error: " + this.message;
-    }
-}
-
-/** Thrown when an error has occured during emitting. */
-class EmitterError {
-    constructor(message) {
-        this.message = message;
-    }
-    toString() {
-        return "Emitter Error: " + this.message;
-    }
+for (let name in DiagnosticCode) {
+    DiagnosticCode[DiagnosticCode[name]] = name;
 }
 
 class SyntaxItem {
@@ -189,6 +342,46 @@ class SyntaxToken extends SyntaxItem {
         super(kind, parent);
         this.text = "";
         this.value = void 0;
+        this.start = void 0;   // offset of the first character
+        this.end = void 0;     // offset after the last character
+        this.line = void 0;    // 1-based line number of the first character
+        this.column = void 0;  // 1-based column number of the first character
+        this.isMissing = false; // true if the parser has synthesized the token in place of a missing one
+    }
+
+    /**
+     * Gets the first token in source order, i.e. the token itself.
+     * @returns {SyntaxToken}
+     */
+    get firstToken() {
+        return this.start !== void 0 ? this : void 0;
+    }
+
+    /**
+     * Gets the last token in source order, i.e. the token itself.
+     * @returns {SyntaxToken}
+     */
+    get lastToken() {
+        return this.firstToken;
+    }
+
+    /**
+     * Returns true if the token does not appear in the source text but has been synthesized by the parser.
+     * @returns {boolean}
+     */
+    get containsErrors() {
+        return this.isMissing;
+    }
+
+    /**
+     * Returns true if the token is a white-space, an end of line or a comment, which the parser skips.
+     * @returns {boolean}
+     */
+    get isTrivia() {
+        return this.kind === SyntaxKind.WhiteSpaceTrivia
+            || this.kind === SyntaxKind.SingleLineCommentTrivia
+            || this.kind === SyntaxKind.MultiLineCommentTrivia
+            || this.kind === SyntaxKind.EndOfLineToken;
     }
 }
 
@@ -209,8 +402,57 @@ class SyntaxNode extends SyntaxItem {
     constructor(kind, parent) {
         super(kind, parent);
         this.children = new SyntaxArray(this);
+        this.isBroken = false;  // true if the parser has reported a syntax error within the node
+    }
+
+    /**
+     * Returns true if the node or any of its descendants is broken or missing.
+     * @returns {boolean}
+     */
+    get containsErrors() {
+        return this.isBroken || this.children.some(child => child.containsErrors);
+    }
+
+    /**
+     * Gets the descendant token that starts first in the source text.
+     * Children are not always stored in source order (e.g. unary expressions),
+     * so we look for the token having the smallest offset.
+     * @returns {SyntaxToken}
+     */
+    get firstToken() {
+        let first;
+        this.children.forEach(child => {
+            const token = child.firstToken;
+            if (token && (!first || token.start < first.start)) first = token;
+        });
+        return first;
     }
 
+    /**
+     * Gets the descendant token that ends last in the source text.
+     * @returns {SyntaxToken}
+     */
+    get lastToken() {
+        let last;
+        this.children.forEach(child => {
+            const token = child.lastToken;
+            if (token && (!last || token.end > last.end)) last = token;
+        });
+        return last;
+    }
+
+    /** Gets the offset of the first character of the node. */
+    get start() { const token = this.firstToken; return token && token.start; }
+
+    /** Gets the offset after the last character of the node. */
+    get end() { const token = this.lastToken; return token && token.end; }
+
+    /** Gets the 1-based line number where the node starts. */
+    get line() { const token = this.firstToken; return token && token.line; }
+
+    /** Gets the 1-based column number where the node starts. */
+    get column() { const token = this.firstToken; return token && token.column; }
+
     /**
      * The accept method calls a visit method of the syntax visitor;
      * the element passes itself as an argument to the visit method.
@@ -250,6 +492,77 @@ class ParenthesizedExpression extends Expression {
     get closeParenToken() { return this.children[2]; }
 }
 
+/**
+ * Represents a list of values.
+ * @example [1, 2, 3]
+ */
+class ListLiteralExpression extends Expression {
+    constructor(openBracketToken, elements, closeBracketToken, parent) {
+        super(SyntaxKind.ListLiteralExpression, parent);
+        this.children.push(openBracketToken, ...elements, closeBracketToken);
+    }
+    get openBracketToken() { return this.children[0]; }
+    get elements() { return this.children.slice(1, -1); }
+    get closeBracketToken() { return this.children[this.children.length - 1]; }
+}
+
+/**
+ * Represents an item of a list (or a character of a string) selected by its position.
+ * @example names[0]
+ */
+class ElementAccessExpression extends Expression {
+    constructor(expression, openBracketToken, index, closeBracketToken, parent) {
+        super(SyntaxKind.ElementAccessExpression, parent);
+        this.children.push(expression, openBracketToken, index, closeBracketToken);
+    }
+    get expression() { return this.children[0]; }
+    get openBracketToken() { return this.children[1]; }
+    get index() { return this.children[2]; }
+    get closeBracketToken() { return this.children[3]; }
+}
+
+/**
+ * Represents a record that groups named values.
+ * @example { name: "UK English Female", rate: 1.2 }
+ */
+class ObjectLiteralExpression extends Expression {
+    constructor(openBraceToken, properties, closeBraceToken, parent) {
+        super(SyntaxKind.ObjectLiteralExpression, parent);
+        this.children.push(openBraceToken, ...properties, closeBraceToken);
+    }
+    get openBraceToken() { return this.children[0]; }
+    get properties() { return this.children.slice(1, -1); }
+    get closeBraceToken() { return this.children[this.children.length - 1]; }
+}
+
+/**
+ * Represents a named value of a record.
+ * @example rate: 1.2
+ */
+class PropertyAssignment extends SyntaxNode {
+    constructor(name, colonToken, expression, parent) {
+        super(SyntaxKind.PropertyAssignment, parent);
+        this.children.push(name, colonToken, expression);
+    }
+    get name() { return this.children[0]; }
+    get colonToken() { return this.children[1]; }
+    get expression() { return this.children[2]; }
+}
+
+/**
+ * Represents a named value of a record selected by its name.
+ * @example profile.name
+ */
+class MemberAccessExpression extends Expression {
+    constructor(expression, dotToken, name, parent) {
+        super(SyntaxKind.MemberAccessExpression, parent);
+        this.children.push(expression, dotToken, name);
+    }
+    get expression() { return this.children[0]; }
+    get dotToken() { return this.children[1]; }
+    get name() { return this.children[2]; }
+}
+
 /**
  * An identifier is a name that identifies (that is, labels the identity of)
  * either a unique object or a unique class of objects.
@@ -270,6 +583,41 @@ class ArgumentListSyntax extends Expression {
     }
 }
 
+/**
+ * Represents an argument that is passed to the parameter having the same name.
+ * @example voice: "UK English Female"
+ */
+class ArgumentSyntax extends SyntaxNode {
+    constructor(name, colonToken, expression, parent) {
+        super(SyntaxKind.NamedArgument, parent);
+        this.children.push(name, colonToken, expression);
+    }
+    get name() { return this.children[0]; }
+    get colonToken() { return this.children[1]; }
+    get expression() { return this.children[2]; }
+}
+
+/**
+ * Represents the optional type of a declared variable or constant.
+ * @example let count: number = 0;
+ */
+class TypeAnnotationSyntax extends SyntaxNode {
+    constructor(colonToken, typeName, parent) {
+        super(SyntaxKind.TypeAnnotation, parent);
+        this.children.push(colonToken, typeName);
+    }
+    get colonToken() { return this.children[0]; }
+    get typeName() { return this.children[1]; }
+}
+
+/** Represents a list of function parameters. */
+class ParameterListSyntax extends SyntaxNode {
+    constructor(parameters, parent) {
+        super(SyntaxKind.ParameterList, parent);
+        this.children.push(...parameters);
+    }
+}
+
 /**
  * A literal is a notation for representing a fixed value in source code,
  * a sequence of characters that usually carry type information about itself.
@@ -277,6 +625,8 @@ class ArgumentListSyntax extends Expression {
  *    - 012345 is a numeric literal
  *    - "text" is a string literal
  *    - 'c'    is a character literal
+ *    - true and false are boolean literals
+ *    - nothing is the literal of the missing value
  */
 class LiteralExpressionSyntax extends Expression {
     constructor(kind, token, parent) {
@@ -286,12 +636,30 @@ class LiteralExpressionSyntax extends Expression {
     get token() { return this.children[0]; }
 }
 
+/**
+ * Represents an interpolated string (template literal). Its children are the
+ * template head, then pairs of an embedded expression and a template middle/tail token.
+ * A template without any substitution consists of a single token.
+ * @example `Hello ${name}, you are ${age + 1}`
+ */
+class TemplateExpression extends Expression {
+    constructor(children, parent) {
+        super(SyntaxKind.TemplateExpression, parent);
+        this.children.push(...children);
+    }
+    get head() { return this.children[0]; }
+    get expressions() { return this.children.filter((node, index) => index % 2 === 1); }
+    get literals() { return this.children.filter((node, index) => index % 2 === 0); }
+}
+
 /**
  * In mathematics, a unary operation is an operation with only one operand.
  * @example
  *    - positive and negative unary operator:
  *         +30 (The result of the unary plus operator (+) is the value of its operand)
  *         -10 (The unary negation operator (–) produces the negative of its operand)
+ *    - logical negation:
+ *         not ready (The result is true if the operand is false and vice versa)
  */
 class UnaryExpression extends Expression {
     constructor(kind, operand, operator, parent) {
@@ -335,23 +703,169 @@ class BlockSyntax extends Statement {
     }
 }
 
+/**
+ * Represents a variable (let) or a read-only constant (const) declaration
+ * with an optional type annotation.
+ * @example let count = 0;
+ * @example const greeting: string = "Hello!";
+ */
 class VarDeclStatement extends Statement {
-    constructor(keyword, identifier, expression) {
+    constructor(keyword, identifier, typeAnnotation, expression, parent) {
         super(SyntaxKind.VarDeclStatement, parent);
         this.children.push(keyword, identifier);
+        typeAnnotation && this.children.push(typeAnnotation);
         expression && this.children.push(expression);
     }
     get keyword() { return this.children[0]; }
     get identifier() { return this.children[1]; }
+    get typeAnnotation() { return this.children.find(child => child.kind === SyntaxKind.TypeAnnotation); }
+    get expression() { return this.children.find((child, index) => index > 1 && child.kind !== SyntaxKind.TypeAnnotation); }
+    get isConst() { return this.keyword.kind === SyntaxKind.ConstKeyword; }
+}
+
+/**
+ * Represents a conditional statement that runs its block only if the condition is true.
+ * The else branch is either another if statement or a block.
+ * @example if (age < 18) { ... } else if (age < 65) { ... } else { ... }
+ */
+class IfStatement extends Statement {
+    constructor(keyword, condition, block, elseKeyword, elseStatement, parent) {
+        super(SyntaxKind.IfStatement, parent);
+        this.children.push(keyword, condition, block);
+        elseKeyword && this.children.push(elseKeyword, elseStatement);
+    }
+    get keyword() { return this.children[0]; }
+    get condition() { return this.children[1]; }
+    get block() { return this.children[2]; }
+    get elseKeyword() { return this.children[3]; }
+    get elseStatement() { return this.children[4]; }
+}
+
+/**
+ * Represents a loop that runs its block as long as the condition is true.
+ * @example while (count < 10) { ... }
+ */
+class WhileStatement extends Statement {
+    constructor(keyword, condition, block, parent) {
+        super(SyntaxKind.WhileStatement, parent);
+        this.children.push(keyword, condition, block);
+    }
+    get keyword() { return this.children[0]; }
+    get condition() { return this.children[1]; }
+    get block() { return this.children[2]; }
+}
+
+/**
+ * Represents a loop that runs its block the specified number of times.
+ * @example repeat 5 times { ... }
+ */
+class RepeatStatement extends Statement {
+    constructor(keyword, count, timesKeyword, block, parent) {
+        super(SyntaxKind.RepeatStatement, parent);
+        this.children.push(keyword, count, timesKeyword, block);
+    }
+    get keyword() { return this.children[0]; }
+    get count() { return this.children[1]; }
+    get timesKeyword() { return this.children[2]; }
+    get block() { return this.children[3]; }
+}
+
+/**
+ * Represents a loop that runs its block once for each item of a list (or each character of a string).
+ * @example for each name in names { ... }
+ */
+class ForEachStatement extends Statement {
+    constructor(forKeyword, eachKeyword, identifier, inKeyword, expression, block, parent) {
+        super(SyntaxKind.ForEachStatement, parent);
+        this.children.push(forKeyword, eachKeyword, identifier, inKeyword, expression, block);
+    }
+    get forKeyword() { return this.children[0]; }
+    get eachKeyword() { return this.children[1]; }
+    get identifier() { return this.children[2]; }
+    get inKeyword() { return this.children[3]; }
+    get expression() { return this.children[4]; }
+    get block() { return this.children[5]; }
+}
+
+/**
+ * Represents a user-defined function declared in the program block.
+ * @example function greet(name, voice) { ... }
+ */
+class FunctionDeclaration extends Statement {
+    constructor(keyword, identifier, parameterList, block, parent) {
+        super(SyntaxKind.FunctionDeclaration, parent);
+        this.children.push(keyword, identifier, parameterList, block);
+    }
+    get keyword() { return this.children[0]; }
+    get identifier() { return this.children[1]; }
+    get parameters() { return this.children[2]; }
+    get block() { return this.children[3]; }
+}
+
+/**
+ * Represents a statement that leaves the function, optionally giving back a value.
+ * @example return name + "!";
+ */
+class ReturnStatement extends Statement {
+    constructor(keyword, expression, parent) {
+        super(SyntaxKind.ReturnStatement, parent);
+        this.children.push(keyword);
+        expression && this.children.push(expression);
+    }
+    get keyword() { return this.children[0]; }
+    get expression() { return this.children[1]; }
+}
+
+/**
+ * Represents a statement that stores a new value in a variable.
+ * The operator is either '=' or a compound assignment operator such as '+='.
+ * @example count += 1;
+ */
+class AssignmentStatement extends Statement {
+    constructor(target, operator, expression, parent) {
+        super(SyntaxKind.AssignmentStatement, parent);
+        this.children.push(target, operator, expression);
+    }
+    get target() { return this.children[0]; }
+    get operator() { return this.children[1]; }
     get expression() { return this.children[2]; }
 }
 
+/**
+ * Represents a call of a command or a user function. The keyword is missing from the
+ * parenthesized form used within expressions, and the parentheses are missing from the
+ * forms that take the rest of the statement as arguments.
+ * @example cmd speak "Hi" and voice
+ * @example call speak("Hi", voice)
+ * @example speak("Hi", voice)
+ */
 class InvocationExpression extends Expression {
-    constructor(keyword, identifier, argumentList, parent) {
+    constructor(keyword, identifier, openParenToken, argumentList, closeParenToken, parent) {
         super(SyntaxKind.InvocationExpression, parent);
-        this.children.push(keyword, identifier, argumentList);
+        keyword && this.children.push(keyword);
+        this.children.push(identifier);
+        openParenToken && this.children.push(openParenToken);
+        this.children.push(argumentList);
+        closeParenToken && this.children.push(closeParenToken);
     }
-    get keyword() { return this.children[0]; }
-    get identifier() { return this.children[1]; }
-    get arguments() { return this.children[2]; }
-}
\ No newline at end of file
+    get keyword() { return this.children[0].isKeyword ? this.children[0] : void 0; }
+    get identifier() { return this.children.find(child => child.kind === SyntaxKind.IdentifierName); }
+    get openParenToken() { return this.children.find(child => child.kind === SyntaxKind.OpenParenToken); }
+    get arguments() { return this.children.find(child => child.kind === SyntaxKind.ArgumentList); }
+    get closeParenToken() { return this.children.find(child => child.kind === SyntaxKind.CloseParenToken); }
+    get isLegacySyntax() { return !!this.keyword && this.keyword.kind === SyntaxKind.CallKeyword && !this.openParenToken; }
+}
+
+/**
+ * Represents the tokens the parser has skipped to recover from a syntax error.
+ * The parser resumes at the next ';', '}' or statement keyword.
+ * @example let x = 1 2 3; (the tokens '2 3 ;' are skipped)
+ */
+class SkippedTokensSyntax extends Statement {
+    constructor(tokens, parent) {
+        super(SyntaxKind.SkippedTokens, parent);
+        this.children.push(...tokens);
+        this.isBroken = true;
+    }
+    get tokens() { return Array.from(this.children); }
+}
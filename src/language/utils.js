@@ -28,6 +28,8 @@ const CharCodes = {
     ThinSpace: 0x2009,
     HairSpace: 0x200A,
     ZeroWidthSpace: 0x200B,
+    ZeroWidthNonJoiner: 0x200C,
+    ZeroWidthJoiner: 0x200D,
     NarrowNoBreakSpace: 0x202F,
     IdeographicSpace: 0x3000,
     MathematicalSpace: 0x205F,
@@ -74,16 +76,6 @@ const CharCodes = {
     y: 0x79,
     z: 0x7A,
 
-    á: 0xE1,
-    é: 0xE9,
-    í: 0xED,
-    ó: 0xF3,
-    ö: 0xF6,
-    ő: 0x151,
-    ú: 0xFA,
-    ü: 0xFC,
-    ű: 0x171,
-
     A: 0x41,
     B: 0x42,
     C: 0x43,
@@ -111,16 +103,6 @@ const CharCodes = {
     Y: 0x59,
     Z: 0x5a,
 
-    Á: 0xC1,
-    É: 0xC9,
-    Í: 0xCD,
-    Ó: 0xD3,
-    Ö: 0xD6,
-    Ő: 0x150,
-    Ú: 0xDA,
-    Ü: 0xDC,
-    Ű: 0x170,
-
     Ampersand: 0x26,             // &
     Asterisk: 0x2A,              // *
     At: 0x40,                    // @
@@ -159,6 +141,11 @@ const CharCodes = {
     VerticalTab: 0x0B,           // \v
 };
 
+// Unicode character classes used by the identifiers of the language.
+const IdentifierStartRegExp = /^\p{ID_Start}$/u;
+const IdentifierPartRegExp = /^\p{ID_Continue}$/u;
+const LetterRegExp = /^\p{L}$/u;
+
 class StrUtils {
 
     static isWhiteSpace(ch) {
@@ -200,16 +187,17 @@ class StrUtils {
     }
 
     static isIdentifierStartPart(ch) {
-        // Returns true if the specified character is a valid identifer start character.
-        return this.isLetter(ch);
+        // Returns true if the specified code point is a valid identifer start character.
+        // See Unicode Standard Annex #31: https://unicode.org/reports/tr31/
+        return IdentifierStartRegExp.test(String.fromCodePoint(ch));
     }
 
     static isIdentifierPart(ch) {
-        // Returns true if the specified character is a valid identifer character.
-        return this.isLetter(ch)
-            || ch >= CharCodes._0 && ch <= CharCodes._9
-            || ch === CharCodes._
-            || ch > CharCodes.MaxAsciiCharacter;
+        // Returns true if the specified code point is a valid identifer character.
+        // As in ECMAScript, the zero width (non-)joiners are also allowed within an identifier.
+        return ch === CharCodes.ZeroWidthNonJoiner
+            || ch === CharCodes.ZeroWidthJoiner
+            || IdentifierPartRegExp.test(String.fromCodePoint(ch));
     }
 
     static isLetterOrDigit(ch) {
@@ -218,17 +206,7 @@ class StrUtils {
     }
 
     static isLetter(ch) {
-        return ch >= CharCodes.A && ch <= CharCodes.Z
-            || ch >= CharCodes.a && ch <= CharCodes.z
-            || ch === CharCodes.á || ch === CharCodes.Á
-            || ch === CharCodes.é || ch === CharCodes.É
-            || ch === CharCodes.í || ch === CharCodes.Í
-            || ch === CharCodes.ó || ch === CharCodes.Ó
-            || ch === CharCodes.ö || ch === CharCodes.Ö
-            || ch === CharCodes.ő || ch === CharCodes.Ő
-            || ch === CharCodes.ú || ch === CharCodes.Ú
-            || ch === CharCodes.ü || ch === CharCodes.Ü
-            || ch === CharCodes.ű || ch === CharCodes.Ű;
+        return LetterRegExp.test(String.fromCodePoint(ch));
     }
 
     static isDigit(ch) {
@@ -236,4 +214,10 @@ class StrUtils {
             && ch <= CharCodes._9;
     }
 
+    static isHexDigit(ch) {
+        return this.isDigit(ch)
+            || ch >= CharCodes.A && ch <= CharCodes.F
+            || ch >= CharCodes.a && ch <= CharCodes.f;
+    }
+
 }
\ No newline at end of file
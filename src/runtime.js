@@ -1,45 +1,104 @@
 // Sample Programming Language
 // Copyright (c) János Janka - All rights reserved.
 
+/// <reference path="language/commands.js" />
+
 "use strict";
 
 (function (global, window, $) {
 
     let stateMachine = $.Deferred().resolve();
 
+    /**
+     * Wraps a command so that every call is queued after the previous one. Calls return immediately,
+     * therefore a Sample loop queues all of its commands first and they run one after another later.
+     */
     function __await(asyncFunction, thisArg) {
         return (...args) => stateMachine = stateMachine.then(asyncFunction.bind(thisArg, ...args));
     }
 
-    /** The function "speak" calls into responsive voice API (http://responsivevoice.org) */
-    global["speak"] = __await((text, voice) => {
-        text = text || "Hello!";
-        const deferred = $.Deferred();
-        responsiveVoice.speak(text, voice, { volume: 1, onend: () => { deferred.resolve(); } });
-        return deferred;
-    });
+    /**
+     * Checks whether the list (or string) has an item at the specified position.
+     * Positions start at 0, so the last item of a list having 3 items is at the position 2.
+     */
+    function checkPosition(list, index) {
+        if (!Array.isArray(list) && typeof list !== "string") {
+            throw new RuntimeError(`Only lists and strings have items, but ${JSON.stringify(list)} is neither.`);
+        }
+        if (!Number.isInteger(index)) {
+            throw new RuntimeError(`The position of an item must be a whole number, not ${JSON.stringify(index)}.`);
+        }
+        if (index < 0 || index >= list.length) {
+            throw new RuntimeError(list.length
+                ? `There is no item at the position ${index}. The positions of this list are from 0 to ${list.length - 1}.`
+                : `There is no item at the position ${index} because the list is empty.`);
+        }
+    }
+
+    /** Checks whether the value is a list that can be changed. */
+    function checkList(list) {
+        if (!Array.isArray(list)) {
+            throw new RuntimeError(`Only the items of a list can be changed, but ${JSON.stringify(list)} is not a list.`);
+        }
+    }
+
+    // The list helpers run immediately (they are not queued like the commands),
+    // because they give back a value that the program needs right away.
+
+    /** Gets the item at the specified position of the list: xs[i] */
+    global["__getItem"] = (list, index) => {
+        checkPosition(list, index);
+        return list[index];
+    };
+
+    /** Replaces the item at the specified position of the list: xs[i] = value */
+    global["__setItem"] = (list, index, value) => {
+        checkList(list);
+        checkPosition(list, index);
+        list[index] = value;
+    };
+
+    /** Replaces the item at the specified position of the list with a computed value: xs[i] += value */
+    global["__updateItem"] = (list, index, compute) => {
+        checkList(list);
+        checkPosition(list, index);
+        list[index] = compute(list[index]);
+    };
+
+    /** Checks whether the value is a record that has the specified member. */
+    function checkMember(record, name) {
+        if (record === null || typeof record !== "object" || Array.isArray(record)) {
+            throw new RuntimeError(`Only records have members, but ${JSON.stringify(record)} is not a record.`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(record, name)) {
+            throw new RuntimeError(`The record has no member named '${name}'.`);
+        }
+    }
+
+    /** Gets the member of the record having the specified name: profile.name */
+    global["__getMember"] = (record, name) => {
+        checkMember(record, name);
+        return record[name];
+    };
+
+    /** Replaces the value of a member of the record: profile.name = value */
+    global["__setMember"] = (record, name, value) => {
+        checkMember(record, name);
+        record[name] = value;
+    };
+
+    /** Replaces the value of a member of the record with a computed value: profile.rate += value */
+    global["__updateMember"] = (record, name, compute) => {
+        checkMember(record, name);
+        record[name] = compute(record[name]);
+    };
 
-    /** The function "search" starts to search some content  using one of the internet search engines. */
-    global["search"] = __await(text =>
-        window.open(`http://www.bing.com/search?q=${global.encodeURIComponent(text)}`, "blank"));
-
-    /** The function "dialog" displays a modal dialog window using Bootstrap. */
-    global["dialog"] = __await(text => {
-        $(`
-<div class="modal fade">
-    <div class="modal-dialog" role="document">
-        <div class="modal-content">
-            <div class="modal-header">
-                <button type="button" class="close" data-dismiss="modal" aria-label="Close"><span aria-hidden="true">&times;</span></button>
-                <h4 class="modal-title">Sample Program</h4>
-            </div>
-            <div class="modal-body">${text}</div>
-            <div class="modal-footer">
-                <button type="button" class="btn btn-default" data-dismiss="modal">Close</button>
-            </div>
-        </div>
-    </div>
-</div>`).modal({ show: true });
+    // The built-in commands are declared in commands.js. The commands that give back a promise are queued,
+    // the others (e.g. the list functions) run immediately like the helpers above. They are prefixed
+    // like the helpers, so they do not overwrite the globals of the page (e.g. window.length).
+    BuiltInCommands.all.forEach(command => {
+        const commandFunction = command.createFunction();
+        global[command.runtimeName] = command.isAsync ? __await(commandFunction) : commandFunction;
     });
 
 })(this, window, jQuery);
\ No newline at end of file